@@ -1,261 +1,344 @@
 import React, { useState, useRef, useEffect } from "react";
-import runSimulation, {
+import {
   ACTIONS,
-  forecastSurvival,
-  chooseBestAction,
   applyAction,
+  getActionDefinition,
+  getActionLabel,
+  getActionParams,
+  setActionParams,
+  resetActionParams,
   updateEconomy,
   DEFAULT_STATE,
-  calculateUtility,
+  DEFAULT_PLANNER,
+  isSolvent,
+  pickBestAction,
+  snapshotState,
   setDefaultState,
   getDefaultState,
   resetDefaultState,
   DEFAULT_STATE_INFO,
+  getMonthRng,
 } from "./script";
+import { normalizeSeed, randomSeed } from "./rng";
+import { createEngine, isCancelled } from "./engine";
+import { DEFAULT_UTILITY } from "./utility";
+import UtilityPanel from "./UtilityPanel";
+import PlannerPanel from "./PlannerPanel";
+import InflationSourcePanel from "./InflationSourcePanel";
+import { DEFAULT_INFLATION_SOURCE } from "./inflationSources";
+import EconomyPanel from "./EconomyPanel";
+import { DEFAULT_ECONOMY } from "./economyModel";
+import IncomePanel from "./IncomePanel";
+import { DEFAULT_INCOME } from "./income";
+import DebtPanel from "./DebtPanel";
+import { DEFAULT_DEBT } from "./debt";
+import {
+  scaleExpenseCategories,
+  syncExpenses,
+  totalExpenses,
+} from "./expenses";
+import ExpenseCategoriesEditor from "./ExpenseCategoriesEditor";
+import PortfolioPanel from "./PortfolioPanel";
+import TaxPanel from "./TaxPanel";
+import WellbeingPanel from "./WellbeingPanel";
+import LifeEventsPanel from "./LifeEventsPanel";
+import { DEFAULT_LIFE_EVENTS } from "./lifeEvents";
+import { DEFAULT_WELLBEING } from "./wellbeing";
+import { DEFAULT_TAX } from "./tax";
+import { ASSET_CLASSES, DEFAULT_PORTFOLIO } from "./portfolio";
+import LineChart from "./LineChart";
+import ChartExportBar from "./ChartExportBar";
+import ForecastTable from "./ForecastTable";
+import PlayerMode from "./PlayerMode";
+import { ParamGrid } from "./Fields";
+import EnsemblePanel from "./EnsemblePanel";
+import PolicyComparisonPanel from "./PolicyComparisonPanel";
+import SensitivityPanel from "./SensitivityPanel";
+import SurvivalGridPanel from "./SurvivalGridPanel";
+import {
+  buildRunFile,
+  downloadText,
+  historyToCSV,
+  parseRunFile,
+} from "./runFiles";
+import { decodeScenario, encodeScenario } from "./scenarioUrl";
 
-function LineChart({
-  data,
-  keys,
-  colors,
-  height = 260,
-  highlightIndex = -1,
-  visibleKeys = keys,
-  onHover,
-}) {
-  if (!data || data.length === 0) return null;
-
-  const SVG_WIDTH = 820;
-  const PAD_LEFT = 60;
-  const PAD_RIGHT = 20;
-  const PAD_BOTTOM = 30;
-
-  const innerWidth = SVG_WIDTH - PAD_LEFT - PAD_RIGHT;
-  const innerHeight = height - PAD_BOTTOM;
-
-  const x = (i) => PAD_LEFT + (i / (data.length - 1 || 1)) * innerWidth;
-
-  const allValues = [];
-  keys.forEach((k) => data.forEach((d) => allValues.push(d[k])));
-  const min = Math.min(...allValues);
-  const max = Math.max(...allValues);
-
-  // Y scale maps value -> svg y coordinate
-  const yScale = (v) =>
-    innerHeight - ((v - min) / (max - min || 1)) * innerHeight + 10;
-
-  // ticks for y axis
-  const ticks = 5;
-  const tickValues = Array.from(
-    { length: ticks + 1 },
-    (_, i) => min + ((max - min) * i) / ticks,
-  ).reverse();
-
-  // build path for a given key (only if visible)
-  const buildPath = (k) =>
-    data
-      .map((d, i) => `${i === 0 ? "M" : "L"} ${x(i)} ${yScale(d[k])}`)
-      .join(" ");
-
-  // mouse handlers for tooltip/hover
-  const handleMouseMove = (e) => {
-    if (!onHover) return;
-    const rect = e.currentTarget.getBoundingClientRect();
-    const xPos = e.clientX - rect.left - PAD_LEFT;
-    const idx = Math.round((xPos / innerWidth) * (data.length - 1));
-    const clamped = Math.max(0, Math.min(data.length - 1, idx));
-    onHover(clamped, e.clientX - rect.left, e.clientY - rect.top);
-  };
-
-  const handleMouseLeave = () => {
-    if (onHover) onHover(null);
-  };
+// Fraction of the engine task done, from the nested run / month / action counters
+const progressFraction = (p) => {
+  const actionPart = p.actionCount ? (p.actionIndex + 1) / p.actionCount : 1;
+  const monthPart = p.months
+    ? (p.month - 1 + actionPart) / p.months
+    : actionPart;
+  return p.runs ? (p.run + monthPart) / p.runs : monthPart;
+};
 
+function ProgressLine({ progress }) {
+  if (!progress) return null;
   return (
-    <svg
-      width={SVG_WIDTH}
-      height={height}
-      onMouseMove={handleMouseMove}
-      onMouseLeave={handleMouseLeave}
-      style={{ cursor: onHover ? "crosshair" : "default" }}
-    >
-      {/* background grid */}
-      <rect
-        x={PAD_LEFT}
-        y={10}
-        width={innerWidth}
-        height={innerHeight}
-        fill="transparent"
-      />
-      {tickValues.map((tv, i) => (
-        <g key={i}>
-          <line
-            x1={PAD_LEFT}
-            x2={PAD_LEFT + innerWidth}
-            y1={yScale(tv)}
-            y2={yScale(tv)}
-            stroke="#e6eef6"
-          />
-          <text
-            x={PAD_LEFT - 8}
-            y={yScale(tv) + 4}
-            fontSize={12}
-            textAnchor="end"
-            fill="#475569"
-          >
-            {tv.toFixed(0)}
-          </text>
-        </g>
-      ))}
-
-      {/* X axis labels */}
-      {data.map((d, i) => (
-        <text
-          key={i}
-          x={x(i)}
-          y={height - 4}
-          fontSize={11}
-          textAnchor="middle"
-          fill="#64748b"
-        >
-          {d.month}
-        </text>
-      ))}
-
-      {/* series paths */}
-      {keys.map(
-        (k, idx) =>
-          visibleKeys.includes(k) && (
-            <path
-              key={k}
-              d={buildPath(k)}
-              stroke={colors[idx]}
-              fill="none"
-              strokeWidth={3}
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            />
-          ),
-      )}
-
-      {/* highlight marker */}
-      {typeof highlightIndex === "number" &&
-        highlightIndex >= 0 &&
-        data[highlightIndex] && (
-          <g>
-            <line
-              x1={x(highlightIndex)}
-              x2={x(highlightIndex)}
-              y1={10}
-              y2={10 + innerHeight}
-              stroke="#94a3b8"
-              strokeDasharray="4"
-            />
-            {keys.map(
-              (k, idx) =>
-                visibleKeys.includes(k) && (
-                  <circle
-                    key={k + "pt"}
-                    cx={x(highlightIndex)}
-                    cy={yScale(data[highlightIndex][k])}
-                    r={5}
-                    fill={colors[idx]}
-                    stroke="#fff"
-                    strokeWidth={1.5}
-                  />
-                ),
-            )}
-          </g>
-        )}
-    </svg>
+    <div className="small progress-line">
+      Computing
+      {progress.runs ? ` run ${progress.run + 1} of ${progress.runs},` : ""}
+      {progress.months
+        ? ` month ${progress.month} of ${progress.months}`
+        : progress.month
+          ? ` month ${progress.month}`
+          : ""}{" "}
+      {progress.actionCount > 0 &&
+        `— action ${progress.actionIndex + 1} of ${progress.actionCount} (${
+          progress.label || getActionLabel(progress.action)
+        })`}
+      <div className="forecast-bar">
+        <div
+          style={{ width: `${(progressFraction(progress) * 100).toFixed(1)}%` }}
+        />
+      </div>
+    </div>
   );
 }
 
-function ForecastTable({ forecasts }) {
-  // If there are no forecasts (e.g., non-animated full run), render nothing
-  if (!forecasts || forecasts.length === 0) return null;
+// Series that can be plotted in the "Key series" chart, with their colors
+const CHART_SERIES = [
+  { key: "cash", color: "#0891b2" },
+  { key: "expenses", color: "#ef4444" },
+  { key: "salary", color: "#10b981" },
+  { key: "investment", color: "#8b5cf6" },
+  { key: "debt", color: "#f97316" },
+  { key: "netWorth", color: "#0f172a" },
+];
+const SERIES_KEYS = CHART_SERIES.map((s) => s.key);
+const SERIES_COLORS = CHART_SERIES.map((s) => s.color);
+
+// Colors for the expense breakdown chart, in stacking order
+const CATEGORY_COLORS = {
+  housing: "#64748b",
+  food: "#f59e0b",
+  transport: "#3b82f6",
+  utilities: "#14b8a6",
+  discretionary: "#ec4899",
+};
+const categoryColor = (id, i) =>
+  CATEGORY_COLORS[id] || SERIES_COLORS[i % SERIES_COLORS.length];
+
+// Asset classes for the allocation view of the "Key series" chart
+const ASSET_KEYS = Object.keys(ASSET_CLASSES);
+const ASSET_COLORS = ["#22c55e", "#8b5cf6", "#0ea5e9", "#f43f5e", "#eab308"];
+
+// Action parameters are edited as text so a list such as "0.1, 0.3" can turn
+// one action into several candidates
+const formatParamValue = (v) => (Array.isArray(v) ? v.join(", ") : String(v));
+const parseParamValue = (text) => {
+  const values = String(text)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map(Number)
+    .filter((n) => Number.isFinite(n));
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+};
+const actionParamsToText = (params) =>
+  Object.fromEntries(
+    Object.entries(params).map(([id, values]) => [
+      id,
+      Object.fromEntries(
+        Object.entries(values).map(([k, v]) => [k, formatParamValue(v)]),
+      ),
+    ]),
+  );
+const textToActionParams = (text) => {
+  const result = {};
+  Object.entries(text).forEach(([id, values]) => {
+    result[id] = {};
+    Object.entries(values).forEach(([k, t]) => {
+      const parsed = parseParamValue(t);
+      if (parsed !== null) result[id][k] = parsed;
+    });
+  });
+  return result;
+};
+
+// Model settings the App starts with (see `settings` / `engineOptions`)
+const DEFAULT_SETTINGS = {
+  utility: DEFAULT_UTILITY,
+  planner: DEFAULT_PLANNER,
+  inflationSource: DEFAULT_INFLATION_SOURCE,
+  economy: DEFAULT_ECONOMY,
+  income: DEFAULT_INCOME,
+  debt: DEFAULT_DEBT,
+  portfolio: DEFAULT_PORTFOLIO,
+  tax: DEFAULT_TAX,
+  wellbeing: DEFAULT_WELLBEING,
+  lifeEvents: DEFAULT_LIFE_EVENTS,
+};
 
+// Built-in scenario, captured before saved defaults load; shared links only
+// store what differs from it (see `encodeScenario`)
+const SCENARIO_BASE = {
+  state: getDefaultState(),
+  months: 24,
+  runs: 100,
+  speedMs: 700,
+  seed: "",
+  settings: DEFAULT_SETTINGS,
+  actionParams: getActionParams(),
+};
+
+function ActionParamsEditor({ values, onChange }) {
+  const ids = ACTIONS.filter(
+    (id) => Object.keys(getActionDefinition(id).params).length > 0,
+  );
   return (
-    <table style={{ width: "100%" }} className="forecast-table">
-      <thead>
-        <tr>
-          <th>Action</th>
-          <th>Survival</th>
-          <th>Expected Cash</th>
-          <th>Utility</th>
-        </tr>
-      </thead>
-      <tbody>
-        {forecasts.map((f) => (
-          <tr key={f.action} className="forecast-row">
-            <td>{f.action}</td>
-            <td>
-              <div className="forecast-bar">
-                <div
-                  style={{
-                    width: `${(f.survivalProbability * 100).toFixed(1)}%`,
-                  }}
-                />
-              </div>
-            </td>
-            <td>{(f.expectedCash || 0).toFixed(2)}</td>
-            <td>{(f.utility || 0).toFixed(3)}</td>
-          </tr>
-        ))}
-      </tbody>
-    </table>
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr",
+        gap: 12,
+        marginTop: 8,
+      }}
+    >
+      {ids.map((id) =>
+        Object.entries(getActionDefinition(id).params).map(([name, p]) => (
+          <div key={id + name}>
+            <label className="small">
+              {id}: {p.label || name}
+            </label>
+            <input
+              type="text"
+              value={values[id]?.[name] ?? ""}
+              onChange={(e) => onChange(id, name, e.target.value)}
+              style={{ width: "100%", padding: 6, marginTop: 6 }}
+            />
+          </div>
+        )),
+      )}
+    </div>
   );
 }
 
 export default function App() {
   const [history, setHistory] = useState([]);
-  const [runs, setRuns] = useState(100);
-  const [months, setMonths] = useState(24);
+  const [runs, setRuns] = useState(SCENARIO_BASE.runs);
+  const [months, setMonths] = useState(SCENARIO_BASE.months);
+  // Seed for the random generator; the same seed replays the same run exactly
+  const [seed, setSeed] = useState(() => String(randomSeed()));
+
+  // Model settings sent to the engine with every request (see `engineOptions`)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const updateSetting = (key, value) =>
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  const engineOptions = {
+    utility: settings.utility,
+    planner: settings.planner,
+    inflationSource: settings.inflationSource,
+    economy: settings.economy,
+    income: settings.income,
+    debt: settings.debt,
+    portfolio: settings.portfolio,
+    tax: settings.tax,
+    wellbeing: settings.wellbeing,
+    lifeEvents: settings.lifeEvents,
+  };
 
   // Editable defaults UI state and persistence
   const [defaultValues, setDefaultValues] = useState(() => getDefaultState());
   const localStorageKey = "life-under-inflation.defaults";
 
+  // Editable action parameters (text per field, see `parseParamValue`)
+  const [actionParamText, setActionParamText] = useState(() =>
+    actionParamsToText(getActionParams()),
+  );
+  const actionParamsStorageKey = "life-under-inflation.actionParams";
+
+  // Defaults and action parameters currently in force (after Apply, load or
+  // import), as opposed to the edits pending in the Defaults panel
+  const [applied, setApplied] = useState(() => ({
+    state: getDefaultState(),
+    actionParams: getActionParams(),
+  }));
+  const markApplied = () =>
+    setApplied({ state: getDefaultState(), actionParams: getActionParams() });
+
   // Load saved defaults from localStorage (if any) on mount
   useEffect(() => {
+    const savedParams = localStorage.getItem(actionParamsStorageKey);
+    if (savedParams) {
+      try {
+        setActionParams(JSON.parse(savedParams));
+        setActionParamText(actionParamsToText(getActionParams()));
+      } catch (e) {
+        console.warn("Failed to parse saved action parameters", e);
+      }
+    }
+
     const saved = localStorage.getItem(localStorageKey);
     if (saved) {
       try {
         const parsed = JSON.parse(saved);
-        setDefaultValues(parsed);
+        // merged so defaults saved before a field existed still get it
         setDefaultState(parsed);
+        setDefaultValues(getDefaultState());
       } catch (e) {
         console.warn("Failed to parse saved defaults", e);
       }
     } else {
       setDefaultValues(getDefaultState());
     }
+    markApplied();
   }, []);
 
   const applyDefaults = () => {
     setDefaultState(defaultValues);
+    setActionParams(textToActionParams(actionParamText));
+    markApplied();
     // reset running simulation to use new defaults
     resetSim(defaultValues);
   };
 
   const saveDefaults = () => {
     localStorage.setItem(localStorageKey, JSON.stringify(defaultValues));
+    localStorage.setItem(
+      actionParamsStorageKey,
+      JSON.stringify(textToActionParams(actionParamText)),
+    );
   };
 
   const resetDefaultsToOriginal = () => {
     resetDefaultState();
     const original = getDefaultState();
     setDefaultValues(original);
+    resetActionParams();
+    setActionParamText(actionParamsToText(getActionParams()));
+    markApplied();
     localStorage.removeItem(localStorageKey);
+    localStorage.removeItem(actionParamsStorageKey);
     resetSim(original);
   };
 
   const onChangeDefault = (key, value) => {
-    setDefaultValues((prev) => ({ ...prev, [key]: value }));
+    setDefaultValues((prev) => {
+      const next = { ...prev, [key]: value };
+      // the total and the category breakdown stay consistent both ways
+      if (key === "expenses" && prev.expenseCategories && value >= 0) {
+        next.expenseCategories = scaleExpenseCategories(
+          prev.expenseCategories,
+          value,
+        );
+      }
+      if (key === "expenseCategories") next.expenses = totalExpenses(value);
+      return next;
+    });
+  };
+
+  const onChangeActionParam = (id, name, text) => {
+    setActionParamText((prev) => ({
+      ...prev,
+      [id]: { ...prev[id], [name]: text },
+    }));
   };
 
   // Animation state
   const [isPlaying, setIsPlaying] = useState(false);
-  const [speedMs, setSpeedMs] = useState(700);
+  const [speedMs, setSpeedMs] = useState(SCENARIO_BASE.speedMs);
   const [currentIndex, setCurrentIndex] = useState(-1);
 
   // Visible series toggles for the chart
@@ -263,9 +346,16 @@ export default function App() {
     cash: true,
     expenses: true,
     salary: true,
+    investment: false,
+    debt: true,
+    netWorth: true,
   });
+  // "series" plots the key series, "allocation" the stacked holdings
+  const [chartView, setChartView] = useState("series");
   const toggleSeries = (k) =>
     setVisibleSeries((prev) => ({ ...prev, [k]: !prev[k] }));
+  // The rendered "Key series" chart, for image export and recording
+  const chartWrapRef = useRef(null);
 
   // Tooltip for chart hover
   const [tooltip, setTooltip] = useState(null);
@@ -273,55 +363,118 @@ export default function App() {
   // Under-the-hood mutable simulation state
   const simStateRef = useRef(null);
   const monthRef = useRef(0);
-  const intervalRef = useRef(null);
+  // Seed used by the run in progress (captured at reset so edits apply next run)
+  const runSeedRef = useRef(normalizeSeed(seed));
+  // Initial state of the run in progress, saved with exported runs
+  const runInitialStateRef = useRef(null);
+  // File name and export time of an imported run being reviewed (or null)
+  const [importedRun, setImportedRun] = useState(null);
+  const [importError, setImportError] = useState(null);
+  // Bumped on every reset so results of stale computations are dropped
+  const runTokenRef = useRef(0);
+  const stepInFlightRef = useRef(false);
+
+  // Worker-backed engine for the Monte Carlo work, plus its latest progress
+  const engineRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  useEffect(() => {
+    engineRef.current = createEngine();
+    return () => engineRef.current.dispose();
+  }, []);
+
+  // Message of the last engine failure (cancellations are not failures)
+  const [engineError, setEngineError] = useState(null);
+
+  // Abort any in-flight engine computation
+  const cancelComputation = () => {
+    if (engineRef.current) engineRef.current.cancel();
+    stepInFlightRef.current = false;
+    setProgress(null);
+    setEngineError(null);
+  };
+
+  // A failed task stops playback and shows its message instead of becoming an
+  // unhandled rejection; cancelled tasks are ignored
+  const reportEngineError = (err) => {
+    if (isCancelled(err)) return;
+    setIsPlaying(false);
+    setEngineError(err && err.message ? err.message : String(err));
+  };
 
   // Reset simulation state
   const resetSim = (initialState) => {
-    simStateRef.current = JSON.parse(
-      JSON.stringify(initialState || DEFAULT_STATE),
+    cancelComputation();
+    runTokenRef.current += 1;
+    simStateRef.current = syncExpenses(
+      JSON.parse(JSON.stringify(initialState || DEFAULT_STATE)),
     );
+    runInitialStateRef.current = JSON.parse(
+      JSON.stringify(simStateRef.current),
+    );
+    runSeedRef.current = normalizeSeed(seed);
     monthRef.current = 0;
+    setImportedRun(null);
     setHistory([]);
     setCurrentIndex(-1);
     setIsPlaying(false);
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
-    }
   };
 
-  // One step: compute forecasts, pick action, apply it, advance one month
+  // One step: compute forecasts, pick action, apply it, advance one month.
+  // Resolves to true when the run is over (bankrupt or out of months).
   const stepOnce = async () => {
+    if (stepInFlightRef.current) return false;
     if (!simStateRef.current)
       simStateRef.current = JSON.parse(JSON.stringify(DEFAULT_STATE));
-    const stateClone = JSON.parse(JSON.stringify(simStateRef.current));
+    const token = runTokenRef.current;
+    const month = monthRef.current + 1;
+    setEngineError(null);
+    // one forecast seed per month, shared by all actions (same as runSimulation)
+    const forecastSeed = getMonthRng(
+      runSeedRef.current,
+      month,
+      "plan",
+    ).uint32();
 
     // compute forecasts for each action (this is the "inner thinking" the AI does)
-    const forecasts = await Promise.all(
-      ACTIONS.map(async (action) => {
-        const f = await forecastSurvival(stateClone, action, runs);
-        return { action, ...f, utility: calculateUtility(f) };
-      }),
-    );
+    let forecasts;
+    stepInFlightRef.current = true;
+    try {
+      forecasts = await engineRef.current.run(
+        "planActions",
+        {
+          state: simStateRef.current,
+          monteCarloRuns: runs,
+          options: { ...engineOptions, seed: forecastSeed, distribution: true },
+          actionParams: getActionParams(),
+        },
+        { onProgress: (p) => setProgress({ month, ...p }) },
+      );
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+      return true;
+    } finally {
+      if (token === runTokenRef.current) {
+        stepInFlightRef.current = false;
+        setProgress(null);
+      }
+    }
+    // the run was reset while we were waiting
+    if (token !== runTokenRef.current) return true;
 
     // decide best action using the same monte-carlo heuristic
-    const best = chooseBestAction(simStateRef.current, runs);
+    const best = pickBestAction(forecasts).action;
 
     // apply and progress
     applyAction(simStateRef.current, best);
-    updateEconomy(simStateRef.current);
+    updateEconomy(simStateRef.current, {
+      ...engineOptions,
+      rng: getMonthRng(runSeedRef.current, month),
+    });
 
-    monthRef.current += 1;
+    monthRef.current = month;
 
     const snapshot = {
-      month: monthRef.current,
-      action: best,
-      cash: simStateRef.current.cash,
-      salary: simStateRef.current.salary,
-      expenses: simStateRef.current.expenses,
-      inflation: simStateRef.current.inflation,
-      investment: simStateRef.current.investment,
-      happiness: simStateRef.current.happiness,
+      ...snapshotState(simStateRef.current, month, best),
       forecasts,
     };
 
@@ -332,42 +485,207 @@ export default function App() {
     });
 
     // stop conditions
-    if (simStateRef.current.cash <= 0 || monthRef.current >= months) {
-      setIsPlaying(false);
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-    }
+    const finished =
+      !isSolvent(simStateRef.current) || monthRef.current >= months;
+    if (finished) setIsPlaying(false);
+    return finished;
   };
 
-  // Play / pause effect
+  // Latest step function and speed, read by the play loop below
+  const stepRef = useRef(stepOnce);
+  stepRef.current = stepOnce;
+  const speedRef = useRef(speedMs);
+  speedRef.current = speedMs;
+
+  // Play / pause effect: step, wait `speedMs`, repeat (never overlapping steps)
   useEffect(() => {
-    if (isPlaying) {
-      intervalRef.current = setInterval(() => {
-        stepOnce();
-      }, speedMs);
-    } else {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
+    if (!isPlaying) return;
+    let stopped = false;
+    let timer = null;
+
+    const loop = async () => {
+      if (stopped) return;
+      let finished;
+      try {
+        finished = await stepRef.current();
+      } catch (err) {
+        reportEngineError(err);
+        return;
       }
-    }
+      if (stopped || finished) return;
+      timer = setTimeout(loop, speedRef.current);
+    };
+    timer = setTimeout(loop, speedRef.current);
 
     // cleanup
     return () => {
-      if (intervalRef.current) clearInterval(intervalRef.current);
+      stopped = true;
+      clearTimeout(timer);
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isPlaying, speedMs, runs, months]);
+  }, [isPlaying]);
 
   // Public controls
-  const handleRunFull = () => {
-    // run a quick batch run and display results (non-animated)
-    const hist = runSimulation({ months, monteCarloRuns: runs });
+  const handleRunFull = async () => {
+    // run a full batch in the worker and display results (non-animated)
     resetSim();
-    setHistory(hist);
-    setCurrentIndex(hist.length - 1);
+    const token = runTokenRef.current;
+    try {
+      const hist = await engineRef.current.run(
+        "runSimulation",
+        {
+          ...engineOptions,
+          // per-action distributions for the forecast table
+          distribution: true,
+          initialState: DEFAULT_STATE,
+          months,
+          monteCarloRuns: runs,
+          seed: normalizeSeed(seed),
+          actionParams: getActionParams(),
+        },
+        { onProgress: setProgress },
+      );
+      if (token !== runTokenRef.current) return;
+      setHistory(hist);
+      setCurrentIndex(hist.length - 1);
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+    } finally {
+      if (token === runTokenRef.current) setProgress(null);
+    }
+  };
+
+  // Ensemble mode: many full runs summarized as percentile bands
+  const [ensembleRuns, setEnsembleRuns] = useState(50);
+  const [ensemble, setEnsemble] = useState(null);
+  const handleRunEnsemble = async () => {
+    cancelComputation();
+    const token = runTokenRef.current;
+    try {
+      const result = await engineRef.current.run(
+        "runEnsemble",
+        {
+          ...engineOptions,
+          initialState: DEFAULT_STATE,
+          runs: ensembleRuns,
+          months,
+          monteCarloRuns: runs,
+          seed: normalizeSeed(seed),
+          actionParams: getActionParams(),
+        },
+        { onProgress: setProgress },
+      );
+      if (token === runTokenRef.current) setEnsemble(result);
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+    } finally {
+      if (token === runTokenRef.current) setProgress(null);
+    }
+  };
+
+  // Policy comparison: fixed strategies vs the AI on shared economic paths
+  const [comparisonPaths, setComparisonPaths] = useState(20);
+  const [comparison, setComparison] = useState(null);
+  const handleComparePolicies = async ({ policies, policyParams }) => {
+    cancelComputation();
+    const token = runTokenRef.current;
+    try {
+      const result = await engineRef.current.run(
+        "comparePolicies",
+        {
+          ...engineOptions,
+          initialState: DEFAULT_STATE,
+          policies,
+          policyParams,
+          paths: comparisonPaths,
+          months,
+          monteCarloRuns: runs,
+          seed: normalizeSeed(seed),
+          actionParams: getActionParams(),
+        },
+        { onProgress: setProgress },
+      );
+      if (token === runTokenRef.current) setComparison(result);
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+    } finally {
+      if (token === runTokenRef.current) setProgress(null);
+    }
+  };
+
+  // Sensitivity analysis: each initial-state field lowered and raised
+  const [sensitivity, setSensitivity] = useState(null);
+  const handleRunSensitivity = async ({ fields, delta, paths, method }) => {
+    cancelComputation();
+    const token = runTokenRef.current;
+    try {
+      const result = await engineRef.current.run(
+        "runSensitivity",
+        {
+          ...engineOptions,
+          initialState: DEFAULT_STATE,
+          fields,
+          delta,
+          paths,
+          method,
+          months,
+          monteCarloRuns: runs,
+          seed: normalizeSeed(seed),
+          actionParams: getActionParams(),
+        },
+        { onProgress: setProgress },
+      );
+      if (token === runTokenRef.current) setSensitivity(result);
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+    } finally {
+      if (token === runTokenRef.current) setProgress(null);
+    }
+  };
+
+  // Survival heatmap: a two-field grid that fills in cell by cell
+  const [survivalGrid, setSurvivalGrid] = useState(null);
+  const handleRunSurvivalGrid = async (request) => {
+    cancelComputation();
+    const token = runTokenRef.current;
+    const gridSeed = normalizeSeed(seed);
+    setSurvivalGrid({
+      ...request,
+      seed: gridSeed,
+      cells: request.yValues.map(() => request.xValues.map(() => null)),
+    });
+    // finished cells arrive with the progress messages
+    const onProgress = (p) => {
+      setProgress(p);
+      if (!p.cell || token !== runTokenRef.current) return;
+      const { i, j, survivalProbability } = p.cell;
+      setSurvivalGrid((grid) => ({
+        ...grid,
+        cells: grid.cells.map((row, r) =>
+          r === j
+            ? row.map((v, c) => (c === i ? survivalProbability : v))
+            : row,
+        ),
+      }));
+    };
+    try {
+      const result = await engineRef.current.run(
+        "runSurvivalGrid",
+        {
+          ...engineOptions,
+          ...request,
+          initialState: DEFAULT_STATE,
+          monteCarloRuns: runs,
+          seed: gridSeed,
+          actionParams: getActionParams(),
+        },
+        { onProgress },
+      );
+      if (token === runTokenRef.current) setSurvivalGrid(result);
+    } catch (err) {
+      if (token === runTokenRef.current) reportEngineError(err);
+    } finally {
+      if (token === runTokenRef.current) setProgress(null);
+    }
   };
 
   const handleStartAnimation = () => {
@@ -375,18 +693,155 @@ export default function App() {
     setIsPlaying(true);
   };
 
+  const handlePause = () => {
+    setIsPlaying(false);
+    cancelComputation();
+  };
+
   const handleStep = () => {
     if (!simStateRef.current) resetSim();
-    stepOnce();
+    stepOnce().catch(reportEngineError);
   };
 
   const handleReset = () => resetSim();
 
+  // Export the current run (CSV for spreadsheets, JSON with all metadata)
+  const exportName = (ext) => `run-seed-${runSeedRef.current}.${ext}`;
+  const handleExportCSV = () =>
+    downloadText(exportName("csv"), historyToCSV(history), "text/csv");
+  const handleExportJSON = () => {
+    const run = buildRunFile({
+      history,
+      seed: runSeedRef.current,
+      months,
+      monteCarloRuns: runs,
+      settings,
+      actionParams: getActionParams(),
+      initialState: runInitialStateRef.current,
+    });
+    downloadText(
+      exportName("json"),
+      JSON.stringify(run, null, 2),
+      "application/json",
+    );
+  };
+
+  // Load an exported JSON run for review; its settings, action parameters,
+  // initial state and seed are restored so Play replays it from month 1
+  const handleImportJSON = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    let run;
+    try {
+      run = parseRunFile(await file.text());
+    } catch (err) {
+      setImportError(err.message);
+      return;
+    }
+    setImportError(null);
+    if (run.initialState) {
+      setDefaultState(run.initialState);
+      setDefaultValues(getDefaultState());
+    }
+    if (run.actionParams) {
+      setActionParams(run.actionParams);
+      setActionParamText(actionParamsToText(getActionParams()));
+    }
+    markApplied();
+    setSettings((prev) => ({ ...prev, ...run.settings }));
+    if (run.seed !== undefined) setSeed(String(run.seed));
+    if (run.months) setMonths(run.months);
+    if (run.monteCarloRuns) setRuns(run.monteCarloRuns);
+    resetSim(run.initialState);
+    // review only: the next Step starts a fresh run
+    simStateRef.current = null;
+    if (run.seed !== undefined) runSeedRef.current = normalizeSeed(run.seed);
+    setHistory(run.history);
+    setCurrentIndex(run.history.length - 1);
+    setImportedRun({ name: file.name, exportedAt: run.exportedAt });
+  };
+
   // init default state on mount
   useEffect(() => {
     resetSim();
   }, []);
 
+  // Restore a scenario from a shared link: defaults, action parameters, model
+  // settings, months, runs, speed and seed all come from the URL hash
+  const applyScenario = (scenario) => {
+    resetDefaultState();
+    setDefaultState(scenario.state);
+    setDefaultValues(getDefaultState());
+    resetActionParams();
+    setActionParams(scenario.actionParams);
+    setActionParamText(actionParamsToText(getActionParams()));
+    markApplied();
+    setSettings({ ...DEFAULT_SETTINGS, ...scenario.settings });
+    setMonths(scenario.months);
+    setRuns(scenario.runs);
+    setSpeedMs(scenario.speedMs);
+    if (scenario.seed !== "") setSeed(String(scenario.seed));
+    resetSim(getDefaultState());
+    if (scenario.seed !== "") runSeedRef.current = normalizeSeed(scenario.seed);
+  };
+  const applyScenarioRef = useRef(applyScenario);
+  applyScenarioRef.current = applyScenario;
+
+  // Read the hash on load and on back/forward navigation
+  const scenarioReadyRef = useRef(false);
+  useEffect(() => {
+    const restore = () => {
+      const scenario = decodeScenario(window.location.hash, SCENARIO_BASE);
+      if (scenario) applyScenarioRef.current(scenario);
+    };
+    restore();
+    scenarioReadyRef.current = true;
+    window.addEventListener("popstate", restore);
+    return () => window.removeEventListener("popstate", restore);
+  }, []);
+
+  // Write the scenario to the hash as it changes: one history entry per change
+  // (debounced while typing); the first write replaces the entry on load
+  const scenarioHash = encodeScenario(
+    {
+      state: applied.state,
+      months,
+      runs,
+      speedMs,
+      seed,
+      settings,
+      actionParams: applied.actionParams,
+    },
+    SCENARIO_BASE,
+  );
+  const hashWrittenRef = useRef(false);
+  useEffect(() => {
+    if (!scenarioReadyRef.current) return;
+    if (scenarioHash === window.location.hash) return;
+    const timer = setTimeout(() => {
+      if (hashWrittenRef.current) {
+        window.history.pushState(null, "", scenarioHash);
+      } else {
+        window.history.replaceState(null, "", scenarioHash);
+      }
+      hashWrittenRef.current = true;
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [scenarioHash]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const handleCopyLink = async () => {
+    const url = window.location.href.split("#")[0] + scenarioHash;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch (e) {
+      console.warn("Failed to copy the scenario link", e);
+    }
+  };
+
   return (
     <div className="container">
       <div className="header">
@@ -430,7 +885,7 @@ export default function App() {
         <button
           className="button"
           style={{ marginLeft: 8 }}
-          onClick={() => setIsPlaying(false)}
+          onClick={handlePause}
         >
           Pause
         </button>
@@ -456,8 +911,78 @@ export default function App() {
             onChange={(e) => setSpeedMs(Number(e.target.value))}
           />
         </label>
+        <label style={{ marginLeft: 12 }} className="small">
+          Seed:{" "}
+          <input
+            type="text"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            style={{ width: 110 }}
+          />
+        </label>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          onClick={() => setSeed(String(randomSeed()))}
+        >
+          New seed
+        </button>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          onClick={handleCopyLink}
+          title="The page URL always holds the current scenario"
+        >
+          {linkCopied ? "Link copied" : "Copy link"}
+        </button>
+      </div>
+
+      <div className="controls">
+        <button
+          className="button"
+          onClick={handleExportCSV}
+          disabled={!history.length}
+        >
+          Export CSV
+        </button>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          onClick={handleExportJSON}
+          disabled={!history.length}
+        >
+          Export JSON
+        </button>
+        <label className="small" style={{ marginLeft: 12 }}>
+          Import JSON run:{" "}
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportJSON}
+          />
+        </label>
+        {importedRun && (
+          <span className="small" style={{ marginLeft: 12 }}>
+            Reviewing <strong>{importedRun.name}</strong>
+            {importedRun.exportedAt &&
+              ` (exported ${new Date(importedRun.exportedAt).toLocaleString()})`}
+            . Play or Step starts a new run.
+          </span>
+        )}
+        {importError && (
+          <span className="small" style={{ marginLeft: 12, color: "#b91c1c" }}>
+            {importError}
+          </span>
+        )}
       </div>
 
+      <ProgressLine progress={progress} />
+      {engineError && (
+        <div className="small progress-line" style={{ color: "#b91c1c" }}>
+          The computation failed: {engineError}
+        </div>
+      )}
+
       <div className="card">
         <h3>Defaults (editable)</h3>
         <div className="small">
@@ -473,28 +998,68 @@ export default function App() {
             marginTop: 12,
           }}
         >
-          {Object.keys(DEFAULT_STATE).map((k) => (
-            <div key={k}>
-              <label className="small">
-                {k} <div className="small">{DEFAULT_STATE_INFO[k]}</div>
-              </label>
-              <input
-                type="number"
-                step={k === "inflation" ? 0.001 : 1}
-                value={defaultValues[k] ?? ""}
-                onChange={(e) =>
-                  onChangeDefault(
-                    k,
-                    k === "inflation"
-                      ? parseFloat(e.target.value)
-                      : Number(e.target.value),
-                  )
-                }
-                style={{ width: "100%", padding: 6, marginTop: 6 }}
-              />
-            </div>
-          ))}
+          {Object.keys(DEFAULT_STATE)
+            .filter((k) => typeof DEFAULT_STATE[k] === "number")
+            .map((k) => (
+              <div key={k}>
+                <label className="small">
+                  {k} <div className="small">{DEFAULT_STATE_INFO[k]}</div>
+                </label>
+                <input
+                  type="number"
+                  step={k === "inflation" ? 0.001 : 1}
+                  value={defaultValues[k] ?? ""}
+                  onChange={(e) =>
+                    onChangeDefault(
+                      k,
+                      k === "inflation"
+                        ? parseFloat(e.target.value)
+                        : Number(e.target.value),
+                    )
+                  }
+                  style={{ width: "100%", padding: 6, marginTop: 6 }}
+                />
+              </div>
+            ))}
+        </div>
+        <h4 style={{ marginTop: 16, marginBottom: 0 }}>Expense categories</h4>
+        <div className="small">
+          {DEFAULT_STATE_INFO.expenseCategories}. Amounts add up to{" "}
+          <code>expenses</code>; each category follows inflation times its
+          sensitivity and only changes price every{" "}
+          <code>repriceEveryMonths</code> months.
+        </div>
+        <ExpenseCategoriesEditor
+          categories={defaultValues.expenseCategories}
+          onChange={(c) => onChangeDefault("expenseCategories", c)}
+        />
+        <h4 style={{ marginTop: 16, marginBottom: 0 }}>Target allocation</h4>
+        <div className="small">
+          {DEFAULT_STATE_INFO.allocation}. Weights are normalized to add up to
+          1; <code>investment</code> without holdings starts in equities.
+        </div>
+        {defaultValues.allocation && (
+          <ParamGrid
+            values={defaultValues.allocation}
+            info={ASSET_CLASSES}
+            steps={Object.fromEntries(ASSET_KEYS.map((id) => [id, 0.05]))}
+            onChange={(id, v) =>
+              onChangeDefault("allocation", {
+                ...defaultValues.allocation,
+                [id]: v,
+              })
+            }
+          />
+        )}
+        <h4 style={{ marginTop: 16, marginBottom: 0 }}>Action parameters</h4>
+        <div className="small">
+          Enter several comma-separated values (e.g. <code>0.1, 0.3, 0.5</code>)
+          to let the AI consider each one as its own action.
         </div>
+        <ActionParamsEditor
+          values={actionParamText}
+          onChange={onChangeActionParam}
+        />
         <div style={{ marginTop: 12 }}>
           <button className="button" onClick={applyDefaults}>
             Apply
@@ -516,9 +1081,65 @@ export default function App() {
         </div>
       </div>
 
+      <UtilityPanel
+        utility={settings.utility}
+        onChange={(utility) => updateSetting("utility", utility)}
+      />
+
+      <PlannerPanel
+        planner={settings.planner}
+        onChange={(planner) => updateSetting("planner", planner)}
+      />
+
+      <InflationSourcePanel
+        source={settings.inflationSource}
+        onChange={(source) => updateSetting("inflationSource", source)}
+      />
+
+      <EconomyPanel
+        economy={settings.economy}
+        onChange={(economy) => updateSetting("economy", economy)}
+      />
+
+      <IncomePanel
+        income={settings.income}
+        onChange={(income) => updateSetting("income", income)}
+      />
+
+      <DebtPanel
+        debt={settings.debt}
+        onChange={(debt) => updateSetting("debt", debt)}
+      />
+
+      <PortfolioPanel
+        portfolio={settings.portfolio}
+        onChange={(portfolio) => updateSetting("portfolio", portfolio)}
+      />
+
+      <TaxPanel
+        tax={settings.tax}
+        onChange={(tax) => updateSetting("tax", tax)}
+      />
+
+      <LifeEventsPanel
+        lifeEvents={settings.lifeEvents}
+        onChange={(lifeEvents) => updateSetting("lifeEvents", lifeEvents)}
+      />
+
       <div className="card">
         <h3>Key series</h3>
 
+        <label className="small">
+          Show:{" "}
+          <select
+            value={chartView}
+            onChange={(e) => setChartView(e.target.value)}
+          >
+            <option value="series">Key series</option>
+            <option value="allocation">Asset allocation</option>
+          </select>
+        </label>
+
         <div
           style={{
             display: "flex",
@@ -527,45 +1148,99 @@ export default function App() {
             marginBottom: 8,
           }}
         >
-          {["cash", "expenses", "salary"].map((k, i) => (
-            <label
-              key={k}
-              style={{
-                display: "flex",
-                alignItems: "center",
-                gap: 8,
-                cursor: "pointer",
-              }}
-            >
-              <input
-                type="checkbox"
-                checked={visibleSeries[k]}
-                onChange={() => toggleSeries(k)}
-              />
-              <span
+          {chartView === "allocation" &&
+            ASSET_KEYS.map((id, i) => (
+              <span key={id} className="small">
+                <span
+                  style={{
+                    width: 12,
+                    height: 12,
+                    background: ASSET_COLORS[i],
+                    display: "inline-block",
+                    borderRadius: 3,
+                    marginRight: 6,
+                  }}
+                />
+                {ASSET_CLASSES[id]}
+              </span>
+            ))}
+          {chartView === "series" &&
+            SERIES_KEYS.map((k, i) => (
+              <label
+                key={k}
                 style={{
-                  width: 14,
-                  height: 14,
-                  background: ["#0891b2", "#ef4444", "#10b981"][i],
-                  display: "inline-block",
-                  borderRadius: 3,
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 8,
+                  cursor: "pointer",
                 }}
-              />
-              <span className="small">{k}</span>
-            </label>
-          ))}
+              >
+                <input
+                  type="checkbox"
+                  checked={visibleSeries[k]}
+                  onChange={() => toggleSeries(k)}
+                />
+                <span
+                  style={{
+                    width: 14,
+                    height: 14,
+                    background: SERIES_COLORS[i],
+                    display: "inline-block",
+                    borderRadius: 3,
+                  }}
+                />
+                <span className="small">{k}</span>
+              </label>
+            ))}
         </div>
 
-        <div className="chart-wrap" style={{ position: "relative" }}>
+        <ChartExportBar
+          chartRef={chartWrapRef}
+          title={chartView === "allocation" ? "Asset allocation" : "Key series"}
+          legend={
+            chartView === "allocation"
+              ? ASSET_KEYS.map((id, i) => ({
+                  label: ASSET_CLASSES[id],
+                  color: ASSET_COLORS[i],
+                }))
+              : CHART_SERIES.filter((s) => visibleSeries[s.key]).map((s) => ({
+                  label: s.key,
+                  color: s.color,
+                }))
+          }
+          history={history}
+          months={months}
+          isPlaying={isPlaying}
+          speedMs={speedMs}
+          onRecord={handleStartAnimation}
+          filePrefix={`life-under-inflation-${runSeedRef.current}`}
+        />
+
+        <div
+          className="chart-wrap"
+          style={{ position: "relative" }}
+          ref={chartWrapRef}
+        >
           <LineChart
-            data={history}
-            keys={["cash", "expenses", "salary"]}
-            colors={["#0891b2", "#ef4444", "#10b981"]}
+            {...(chartView === "allocation"
+              ? {
+                  data: history.map((h) => ({ month: h.month, ...h.holdings })),
+                  keys: ASSET_KEYS,
+                  colors: ASSET_COLORS,
+                  stacked: true,
+                }
+              : {
+                  data: history,
+                  keys: SERIES_KEYS,
+                  colors: SERIES_COLORS,
+                  visibleKeys: Object.keys(visibleSeries).filter(
+                    (k) => visibleSeries[k],
+                  ),
+                })}
             height={260}
             highlightIndex={currentIndex}
-            visibleKeys={Object.keys(visibleSeries).filter(
-              (k) => visibleSeries[k],
-            )}
+            shaded={history.map((h) => h.employed === false)}
+            markers={history.map((h) => (h.events || []).map((e) => e.label))}
             onHover={(idx, x, y) => {
               if (idx === null) {
                 setCurrentIndex(-1);
@@ -589,10 +1264,43 @@ export default function App() {
               style={{ left: tooltip.x + 10, top: tooltip.y + 10 }}
             >
               <div style={{ fontWeight: 600 }}>Month {tooltip.snap.month}</div>
-              <div className="small">Action: {tooltip.snap.action}</div>
+              <div className="small">
+                Action: {getActionLabel(tooltip.snap.action)}
+              </div>
+              {tooltip.snap.regime === "crisis" && (
+                <div className="small">Regime: crisis</div>
+              )}
+              {tooltip.snap.events && tooltip.snap.events.length > 0 && (
+                <div className="small">
+                  Events: {tooltip.snap.events.map((e) => e.label).join(", ")}
+                </div>
+              )}
+              {tooltip.snap.burnout && (
+                <div className="small">{tooltip.snap.burnout}</div>
+              )}
+              {tooltip.snap.employed === false && (
+                <div className="small">Unemployed</div>
+              )}
+              {tooltip.snap.missedPayments > 0 && (
+                <div className="small">
+                  Missed payments: {tooltip.snap.missedPayments}
+                </div>
+              )}
               {Object.keys(tooltip.snap)
                 .filter((k) =>
-                  ["cash", "salary", "expenses", "inflation"].includes(k),
+                  [
+                    "cash",
+                    "salary",
+                    "income",
+                    "tax",
+                    "netPay",
+                    "expenses",
+                    "debt",
+                    "investment",
+                    "netWorth",
+                    "happiness",
+                    "inflation",
+                  ].includes(k),
                 )
                 .map((k) => (
                   <div key={k}>
@@ -607,13 +1315,100 @@ export default function App() {
         </div>
       </div>
 
+      {history[0] && history[0].expenseBreakdown && (
+        <div className="card">
+          <h3>Expenses by category</h3>
+          <div
+            className="small"
+            style={{ display: "flex", gap: 16, marginBottom: 8 }}
+          >
+            {Object.keys(history[0].expenseBreakdown).map((id, i) => (
+              <span key={id}>
+                <span
+                  style={{
+                    width: 12,
+                    height: 12,
+                    background: categoryColor(id, i),
+                    display: "inline-block",
+                    borderRadius: 3,
+                    marginRight: 6,
+                  }}
+                />
+                {id}
+              </span>
+            ))}
+          </div>
+          <LineChart
+            data={history.map((h) => ({
+              month: h.month,
+              ...h.expenseBreakdown,
+            }))}
+            keys={Object.keys(history[0].expenseBreakdown)}
+            colors={Object.keys(history[0].expenseBreakdown).map(categoryColor)}
+            height={200}
+            highlightIndex={currentIndex}
+            stacked
+          />
+        </div>
+      )}
+
+      <WellbeingPanel
+        wellbeing={settings.wellbeing}
+        onChange={(wellbeing) => updateSetting("wellbeing", wellbeing)}
+        history={history}
+        highlightIndex={currentIndex}
+      />
+
+      <EnsemblePanel
+        ensemble={ensemble}
+        keys={SERIES_KEYS}
+        colors={SERIES_COLORS}
+        visibleKeys={Object.keys(visibleSeries).filter((k) => visibleSeries[k])}
+        runs={ensembleRuns}
+        onRunsChange={setEnsembleRuns}
+        onRun={handleRunEnsemble}
+        onCancel={cancelComputation}
+      />
+
+      <PolicyComparisonPanel
+        comparison={comparison}
+        paths={comparisonPaths}
+        onPathsChange={setComparisonPaths}
+        onRun={handleComparePolicies}
+        onCancel={cancelComputation}
+      />
+
+      <SensitivityPanel
+        result={sensitivity}
+        initialState={applied.state}
+        onRun={handleRunSensitivity}
+        onCancel={cancelComputation}
+      />
+
+      <SurvivalGridPanel
+        grid={survivalGrid}
+        initialState={applied.state}
+        onRun={handleRunSurvivalGrid}
+        onCancel={cancelComputation}
+      />
+
+      <PlayerMode
+        engineOptions={engineOptions}
+        actionParams={getActionParams()}
+        runs={runs}
+        months={months}
+        seed={normalizeSeed(seed)}
+        initialState={DEFAULT_STATE}
+      />
+
       <div className="card">
         <h3>Current month</h3>
         {history[currentIndex] ? (
           <div>
             <div className="small">
               Month: <strong>{history[currentIndex].month}</strong> — Action
-              chosen: <strong>{history[currentIndex].action}</strong>
+              chosen:{" "}
+              <strong>{getActionLabel(history[currentIndex].action)}</strong>
             </div>
             <div style={{ display: "flex", gap: 20, marginTop: 10 }}>
               <div style={{ flex: 1 }}>
@@ -626,12 +1421,51 @@ export default function App() {
                 <strong>Salary</strong>
                 <div className="card">
                   {history[currentIndex].salary.toFixed(2)}
+                  {history[currentIndex].tax > 0 && (
+                    <div className="small">
+                      gross {history[currentIndex].grossPay.toFixed(2)} − tax{" "}
+                      {history[currentIndex].tax.toFixed(2)} = net{" "}
+                      {history[currentIndex].netPay.toFixed(2)}
+                    </div>
+                  )}
                 </div>
               </div>
               <div style={{ flex: 1 }}>
                 <strong>Expenses</strong>
                 <div className="card">
                   {history[currentIndex].expenses.toFixed(2)}
+                  {history[currentIndex].expenseBreakdown &&
+                    Object.entries(history[currentIndex].expenseBreakdown).map(
+                      ([id, amount]) => (
+                        <div key={id} className="small">
+                          {id}: {amount.toFixed(2)}
+                        </div>
+                      ),
+                    )}
+                </div>
+              </div>
+              <div style={{ flex: 1 }}>
+                <strong>Debt</strong>
+                <div className="card">
+                  {(history[currentIndex].debt || 0).toFixed(2)}
+                  {history[currentIndex].missedPayments > 0 && (
+                    <div className="small">
+                      Missed payments: {history[currentIndex].missedPayments}
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div style={{ flex: 1 }}>
+                <strong>Net worth</strong>
+                <div className="card">
+                  {(
+                    history[currentIndex].netWorth ?? history[currentIndex].cash
+                  ).toFixed(2)}
+                  {history[currentIndex].investment > 0 && (
+                    <div className="small">
+                      invested: {history[currentIndex].investment.toFixed(2)}
+                    </div>
+                  )}
                 </div>
               </div>
               <div style={{ flex: 1 }}>
@@ -663,7 +1497,12 @@ export default function App() {
               <th>Action</th>
               <th>Cash</th>
               <th>Salary</th>
+              <th>Income</th>
+              <th>Tax</th>
               <th>Expenses</th>
+              <th>Debt</th>
+              <th>Net worth</th>
+              <th>Happiness</th>
               <th>Inflation</th>
             </tr>
           </thead>
@@ -671,13 +1510,50 @@ export default function App() {
             {history.map((h, idx) => (
               <tr
                 key={h.month}
-                style={idx === currentIndex ? { background: "#f1f5f9" } : {}}
+                style={
+                  idx === currentIndex
+                    ? { background: "#f1f5f9" }
+                    : h.employed === false
+                      ? { background: "#fef2f2" }
+                      : {}
+                }
               >
                 <td>{h.month}</td>
-                <td>{h.action}</td>
+                <td>
+                  {getActionLabel(h.action)}
+                  {h.events && h.events.length > 0 && (
+                    <div className="small">
+                      {h.events.map((e) => e.label).join(", ")}
+                    </div>
+                  )}
+                </td>
                 <td>{h.cash.toFixed(2)}</td>
                 <td>{h.salary.toFixed(2)}</td>
+                <td>
+                  {(h.income ?? h.salary).toFixed(2)}
+                  {h.employed === false && (
+                    <span className="small"> (jobless)</span>
+                  )}
+                </td>
+                <td>{(h.tax || 0).toFixed(2)}</td>
                 <td>{h.expenses.toFixed(2)}</td>
+                <td>
+                  {(h.debt || 0).toFixed(2)}
+                  {h.missedPayments > 0 && (
+                    <span className="small">
+                      {" "}
+                      ({h.solvent ? `${h.missedPayments} missed` : "default"})
+                    </span>
+                  )}
+                </td>
+                <td>{(h.netWorth ?? h.cash).toFixed(2)}</td>
+                <td title={h.burnout || undefined}>
+                  {h.happiness.toFixed(1)}
+                  {h.burnout && <span className="small"> (burnout)</span>}
+                  {h.resting && !h.burnout && (
+                    <span className="small"> (resting)</span>
+                  )}
+                </td>
                 <td>{(h.inflation * 100).toFixed(2)}%</td>
               </tr>
             ))}
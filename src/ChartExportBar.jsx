@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getActionLabel } from "./script";
+import {
+  RECORDING_RESOLUTIONS,
+  composeChartSvg,
+  createRecorder,
+  isWebmSupported,
+  svgToPng,
+} from "./chartExport";
+import { downloadBlob, downloadText } from "./runFiles";
+
+// Overlay lines for a recorded frame: month and action, then key numbers
+const overlayLines = (snap, months) => [
+  `Month ${snap.month} of ${months} · ${getActionLabel(snap.action)}`,
+  [
+    `Cash ${snap.cash.toFixed(0)}`,
+    `Net worth ${(snap.netWorth ?? snap.cash).toFixed(0)}`,
+    `Expenses ${snap.expenses.toFixed(0)}`,
+    `Inflation ${(snap.inflation * 100).toFixed(1)}%`,
+    ...(snap.events && snap.events.length
+      ? [snap.events.map((e) => e.label).join(", ")]
+      : []),
+  ].join(" · "),
+];
+
+/**
+ * ChartExportBar
+ * PNG / SVG export of a rendered `LineChart` and a Record mode that captures the
+ * Play animation frame by frame into a WebM video or an animated GIF.
+ * - chartRef: ref to an element containing the chart <svg>
+ * - title / legend (`[{ label, color }]`): drawn above the chart
+ * - history, months, isPlaying, speedMs: the animation being recorded
+ * - onRecord(): starts playback from month 1 (recording starts with it)
+ * - filePrefix: base name of downloaded files
+ */
+export default function ChartExportBar({
+  chartRef,
+  title,
+  legend,
+  history,
+  months,
+  isPlaying,
+  speedMs,
+  onRecord,
+  filePrefix = "chart",
+}) {
+  const webm = isWebmSupported();
+  const [format, setFormat] = useState(webm ? "webm" : "gif");
+  const [resolution, setResolution] = useState("1280x720");
+  const [overlay, setOverlay] = useState(true);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+
+  const chartSvg = () => chartRef.current?.querySelector("svg");
+  const compose = (options) =>
+    composeChartSvg(chartSvg(), { title, legend, ...options });
+
+  const exportSvg = () => {
+    if (!chartSvg()) return;
+    downloadText(`${filePrefix}.svg`, compose(), "image/svg+xml");
+  };
+
+  const exportPng = async () => {
+    if (!chartSvg()) return;
+    // twice the on-screen size for sharp text
+    downloadBlob(`${filePrefix}.png`, await svgToPng(compose(), 2));
+  };
+
+  const startRecording = () => {
+    const { width, height } = RECORDING_RESOLUTIONS[resolution];
+    recorderRef.current = createRecorder({
+      format,
+      width,
+      height,
+      frameMs: speedMs,
+    });
+    setError(null);
+    setStatus("Recording… Pause stops and saves.");
+    onRecord();
+  };
+
+  // one frame per simulated month while recording
+  useEffect(() => {
+    const recorder = recorderRef.current;
+    const snap = history[history.length - 1];
+    if (!recorder || !snap || !chartSvg()) return;
+    const { width, height } = RECORDING_RESOLUTIONS[resolution];
+    recorder.addFrame(
+      compose({
+        width,
+        height,
+        overlay: overlay ? overlayLines(snap, months) : [],
+      }),
+    );
+  }, [history.length]);
+
+  // playback ended (last month, default or Pause): finish and download
+  useEffect(() => {
+    const recorder = recorderRef.current;
+    if (!recorder || isPlaying) return;
+    recorderRef.current = null;
+    if (!history.length) {
+      // paused before the first month: nothing to save
+      recorder.stop().catch(() => {});
+      setStatus(null);
+      return;
+    }
+    setStatus(`Encoding ${format.toUpperCase()}…`);
+    recorder
+      .stop()
+      .then((blob) => {
+        downloadBlob(`${filePrefix}.${format}`, blob);
+        const skipped = recorder.skipped();
+        if (skipped) {
+          setError(
+            `${skipped} month(s) could not be drawn and are missing from the recording`,
+          );
+        }
+      })
+      .catch((e) => setError(`The recording failed: ${e.message}`))
+      .finally(() => setStatus(null));
+  }, [isPlaying]);
+
+  return (
+    <div
+      className="small"
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: 8,
+        marginBottom: 8,
+      }}
+    >
+      <button className="button" onClick={exportPng} disabled={!history.length}>
+        Export PNG
+      </button>
+      <button className="button" onClick={exportSvg} disabled={!history.length}>
+        Export SVG
+      </button>
+      <span style={{ marginLeft: 12 }}>Record:</span>
+      <select value={format} onChange={(e) => setFormat(e.target.value)}>
+        {webm && <option value="webm">WebM video</option>}
+        <option value="gif">GIF</option>
+      </select>
+      <select
+        value={resolution}
+        onChange={(e) => setResolution(e.target.value)}
+      >
+        {Object.entries(RECORDING_RESOLUTIONS).map(([key, r]) => (
+          <option key={key} value={key}>
+            {r.label}
+          </option>
+        ))}
+      </select>
+      <label>
+        <input
+          type="checkbox"
+          checked={overlay}
+          onChange={(e) => setOverlay(e.target.checked)}
+        />{" "}
+        Overlay
+      </label>
+      <button
+        className="button"
+        onClick={startRecording}
+        disabled={Boolean(status)}
+      >
+        Record
+      </button>
+      {status && <span>{status}</span>}
+      {error && <span style={{ color: "#b91c1c" }}>{error}</span>}
+    </div>
+  );
+}
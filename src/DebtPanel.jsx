@@ -0,0 +1,36 @@
+import React from "react";
+import { resolveDebt } from "./debt";
+import { ParamGrid } from "./Fields";
+
+const DEBT_INFO = {
+  creditMargin: "Monthly credit line rate above inflation",
+  loanMargin: "Monthly loan rate above inflation",
+  passThrough: "Share of inflation passed on to rates",
+  rateFloor: "Lowest monthly rate",
+  minimumPaymentRate: "Minimum credit payment (share of balance)",
+  maxMissedPayments: "Consecutive missed months before default",
+};
+
+/**
+ * DebtPanel
+ * Edits the debt model (`options.debt`): inflation-linked rates, minimum
+ * payments and the default rule. Limits live in the Defaults editor.
+ */
+export default function DebtPanel({ debt, onChange }) {
+  const model = resolveDebt(debt);
+  return (
+    <div className="card">
+      <h3>Debt</h3>
+      <div className="small">
+        The credit line covers bad months automatically; BORROW takes a loan and
+        REPAY pays debt down. Rates are inflation × passThrough + margin. The
+        household defaults (and the run ends) after too many missed payments.
+      </div>
+      <ParamGrid
+        values={model}
+        info={DEBT_INFO}
+        onChange={(k, v) => onChange({ ...model, [k]: v })}
+      />
+    </div>
+  );
+}
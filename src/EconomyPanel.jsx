@@ -0,0 +1,133 @@
+import React from "react";
+import {
+  INFLATION_PROCESSES,
+  RETURN_DISTRIBUTIONS,
+  resolveEconomy,
+} from "./economyModel";
+import { NumberField, ParamGrid } from "./Fields";
+
+const INFLATION_INFO = {
+  target: "Long-run inflation level (AR(1) only)",
+  persistence: "AR(1) coefficient φ: 0 = snap to target, 1 = random walk",
+  volatility: "Std of the monthly inflation shock",
+  floor: "Lowest allowed inflation",
+};
+
+const RETURN_INFO = {
+  mean: "Average monthly market return",
+  volatility: "Std of the monthly market return",
+  degreesOfFreedom: "Student-t tail heaviness (lower = fatter tails)",
+};
+
+const CRISIS_INFO = {
+  inflationTarget: "AR(1) target during a crisis",
+  inflationDrift: "Extra monthly drift for the random walk",
+  volatilityMultiplier: "Inflation shock multiplier",
+  returnMean: "Average monthly return in a crisis",
+  returnVolatility: "Return std in a crisis",
+};
+
+/**
+ * EconomyPanel
+ * Edits the economic model (`options.economy`): inflation process, return
+ * distribution, inflation–return correlation and calm/crisis regimes.
+ */
+export default function EconomyPanel({ economy, onChange }) {
+  const model = resolveEconomy(economy);
+  const setGroup = (group, key, value) =>
+    onChange({ ...model, [group]: { ...model[group], [key]: value } });
+  const setCrisis = (key, value) =>
+    onChange({
+      ...model,
+      regimes: {
+        ...model.regimes,
+        crisis: { ...model.regimes.crisis, [key]: value },
+      },
+    });
+  const { process, ...inflationParams } = model.inflation;
+  const { distribution, ...returnParams } = model.returns;
+  const { enabled, crisis, ...switchParams } = model.regimes;
+
+  return (
+    <div className="card">
+      <h3>Economy</h3>
+      <div className="small">
+        How inflation and market returns evolve each month. The defaults are the
+        original random walk with Normal(5%, 10%) returns. Ignored for inflation
+        when a historical series is selected above.
+      </div>
+
+      <h4 style={{ marginBottom: 0 }}>Inflation</h4>
+      <label className="small">
+        Process:{" "}
+        <select
+          value={process}
+          onChange={(e) => setGroup("inflation", "process", e.target.value)}
+        >
+          {Object.entries(INFLATION_PROCESSES).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <ParamGrid
+        values={inflationParams}
+        info={INFLATION_INFO}
+        onChange={(k, v) => setGroup("inflation", k, v)}
+      />
+
+      <h4 style={{ marginBottom: 0 }}>Market returns</h4>
+      <label className="small">
+        Distribution:{" "}
+        <select
+          value={distribution}
+          onChange={(e) => setGroup("returns", "distribution", e.target.value)}
+        >
+          {Object.entries(RETURN_DISTRIBUTIONS).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <ParamGrid
+        values={returnParams}
+        info={RETURN_INFO}
+        onChange={(k, v) => setGroup("returns", k, v)}
+      />
+      <div style={{ marginTop: 12 }}>
+        <NumberField
+          label="correlation"
+          hint="Correlation between inflation shocks and market returns (-1 to 1)"
+          value={model.correlation}
+          step={0.1}
+          onChange={(v) => onChange({ ...model, correlation: v })}
+        />
+      </div>
+
+      <h4 style={{ marginBottom: 0 }}>Regimes</h4>
+      <label className="small">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setGroup("regimes", "enabled", e.target.checked)}
+        />{" "}
+        Switch between calm and crisis regimes
+      </label>
+      {enabled && (
+        <>
+          <ParamGrid
+            values={switchParams}
+            info={{
+              pCalmToCrisis: "Monthly chance a crisis starts",
+              pCrisisToCalm: "Monthly chance a crisis ends",
+            }}
+            onChange={(k, v) => setGroup("regimes", k, v)}
+          />
+          <ParamGrid values={crisis} info={CRISIS_INFO} onChange={setCrisis} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import LineChart from "./LineChart";
+
+/**
+ * EnsemblePanel
+ * Runs the full policy many times (see `runEnsemble`) and shows the spread of
+ * outcomes as percentile fan charts plus the share of runs still solvent.
+ * `ensemble` is the result of the `runEnsemble` engine task (or null).
+ */
+export default function EnsemblePanel({
+  ensemble,
+  keys,
+  colors,
+  visibleKeys,
+  runs,
+  onRunsChange,
+  onRun,
+  onCancel,
+}) {
+  const [hoverIndex, setHoverIndex] = useState(-1);
+  const months = ensemble ? ensemble.months : [];
+  // medians drive the lines; the bands come straight from the percentiles
+  const medians = months.map((m) => {
+    const row = { month: m.month, solventPct: m.solventFraction * 100 };
+    keys.forEach((k) => {
+      if (m[k]) row[k] = m[k].p50;
+    });
+    return row;
+  });
+  const hovered = months[hoverIndex];
+
+  return (
+    <div className="card">
+      <h3>Ensemble</h3>
+      <div className="small">
+        Runs the whole policy many times with different seeds. Shaded bands show
+        the 5–95% and 25–75% ranges of outcomes; the line is the median.
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <label className="small">
+          Ensemble runs:{" "}
+          <input
+            type="number"
+            value={runs}
+            onChange={(e) => onRunsChange(Number(e.target.value))}
+          />
+        </label>
+        <button className="button" style={{ marginLeft: 8 }} onClick={onRun}>
+          Run Ensemble
+        </button>
+        <button className="button" style={{ marginLeft: 8 }} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      {ensemble && (
+        <div className="chart-wrap" style={{ marginTop: 12 }}>
+          <LineChart
+            data={medians}
+            bands={months}
+            keys={keys}
+            colors={colors}
+            visibleKeys={visibleKeys}
+            height={260}
+            highlightIndex={hoverIndex}
+            onHover={(idx) => setHoverIndex(idx === null ? -1 : idx)}
+          />
+          <div className="small" style={{ marginTop: 8 }}>
+            Share of runs still solvent (%)
+          </div>
+          <LineChart
+            data={medians}
+            keys={["solventPct"]}
+            colors={["#0369a1"]}
+            height={120}
+            highlightIndex={hoverIndex}
+            onHover={(idx) => setHoverIndex(idx === null ? -1 : idx)}
+          />
+          <div className="small" style={{ minHeight: 18 }}>
+            {hovered ? (
+              <>
+                Month <strong>{hovered.month}</strong> — solvent{" "}
+                {(hovered.solventFraction * 100).toFixed(1)}%
+                {visibleKeys
+                  .filter((k) => hovered[k])
+                  .map((k) => (
+                    <span key={k}>
+                      {" · "}
+                      {k}: {hovered[k].p50.toFixed(0)} (
+                      {hovered[k].p5.toFixed(0)}–{hovered[k].p95.toFixed(0)})
+                    </span>
+                  ))}
+              </>
+            ) : (
+              `${ensemble.runs} runs, seed ${ensemble.seed}. Hover the chart for values.`
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
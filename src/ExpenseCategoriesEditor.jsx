@@ -0,0 +1,58 @@
+import React from "react";
+import { EXPENSE_CATEGORY_INFO } from "./expenses";
+
+const NUMBER_FIELDS = ["amount", "sensitivity", "repriceEveryMonths"];
+const STEPS = { amount: 1, sensitivity: 0.1, repriceEveryMonths: 1 };
+
+/**
+ * ExpenseCategoriesEditor
+ * Table of expense categories for the Defaults editor: monthly amount,
+ * inflation sensitivity, repricing interval and whether CUT_EXPENSES applies.
+ */
+export default function ExpenseCategoriesEditor({ categories, onChange }) {
+  if (!categories) return null;
+  const setField = (id, field, value) =>
+    onChange({ ...categories, [id]: { ...categories[id], [field]: value } });
+
+  return (
+    <table style={{ marginTop: 8 }}>
+      <thead>
+        <tr>
+          <th>Category</th>
+          {[...NUMBER_FIELDS, "cuttable"].map((field) => (
+            <th key={field} title={EXPENSE_CATEGORY_INFO[field]}>
+              {field}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(categories).map(([id, c]) => (
+          <tr key={id}>
+            <td>{id}</td>
+            {NUMBER_FIELDS.map((field) => (
+              <td key={field}>
+                <input
+                  type="number"
+                  step={STEPS[field]}
+                  value={Number.isFinite(c[field]) ? c[field] : ""}
+                  onChange={(e) =>
+                    setField(id, field, parseFloat(e.target.value))
+                  }
+                  style={{ width: 90 }}
+                />
+              </td>
+            ))}
+            <td>
+              <input
+                type="checkbox"
+                checked={!!c.cuttable}
+                onChange={(e) => setField(id, "cuttable", e.target.checked)}
+              />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+
+/**
+ * NumberField
+ * Labelled numeric input used by the settings panels; `hint` is shown in small
+ * print under the label (like the Defaults editor).
+ */
+export function NumberField({ label, hint, value, step = 1, onChange }) {
+  return (
+    <div>
+      <label className="small">
+        {label}
+        {hint && <div className="small">{hint}</div>}
+      </label>
+      <input
+        type="number"
+        step={step}
+        value={Number.isFinite(value) ? value : ""}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ width: "100%", padding: 6, marginTop: 6 }}
+      />
+    </div>
+  );
+}
+
+/**
+ * ParamGrid
+ * Two-column grid of `NumberField`s for a flat `{ name: number }` object.
+ * `info` maps names to hints; `steps` maps names to input steps.
+ */
+export function ParamGrid({ values, info = {}, steps = {}, onChange }) {
+  return (
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr",
+        gap: 12,
+        marginTop: 12,
+      }}
+    >
+      {Object.keys(values).map((name) => (
+        <NumberField
+          key={name}
+          label={name}
+          hint={info[name]}
+          value={values[name]}
+          step={steps[name] ?? "any"}
+          onChange={(v) => onChange(name, v)}
+        />
+      ))}
+    </div>
+  );
+}
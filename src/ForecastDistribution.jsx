@@ -0,0 +1,211 @@
+import React from "react";
+
+const WIDTH = 360;
+const HEIGHT = 120;
+const PAD = { left: 8, right: 8, top: 14, bottom: 30 };
+const innerWidth = WIDTH - PAD.left - PAD.right;
+const innerHeight = HEIGHT - PAD.top - PAD.bottom;
+
+/**
+ * CashHistogram
+ * Ending net worth of every run (failed runs included) with the p5 / p50 / p95
+ * markers and the mean with its 95% confidence interval as an error bar.
+ */
+function CashHistogram({ distribution }) {
+  const { cashHistogram, endingCash, meanCash } = distribution;
+  const { edges, counts } = cashHistogram;
+  if (!counts.length) return null;
+  const lo = edges[0];
+  const hi = edges[edges.length - 1];
+  const x = (v) =>
+    PAD.left + ((Math.min(hi, Math.max(lo, v)) - lo) / (hi - lo)) * innerWidth;
+  const maxCount = Math.max(...counts);
+  const barWidth = innerWidth / counts.length;
+  const markers = [
+    ["p5", endingCash.p5],
+    ["p50", endingCash.p50],
+    ["p95", endingCash.p95],
+  ];
+  const errorY = PAD.top + 4;
+
+  return (
+    <svg width={WIDTH} height={HEIGHT}>
+      {counts.map((c, i) => {
+        const h = (c / maxCount) * innerHeight;
+        return (
+          <rect
+            key={i}
+            x={PAD.left + i * barWidth + 1}
+            y={PAD.top + innerHeight - h}
+            width={barWidth - 2}
+            height={h}
+            fill={edges[i + 1] <= 0 ? "#fca5a5" : "#93c5fd"}
+          >
+            <title>
+              {`${edges[i].toFixed(0)} to ${edges[i + 1].toFixed(0)}: ${c} runs`}
+            </title>
+          </rect>
+        );
+      })}
+      {markers.map(([name, v]) => (
+        <g key={name}>
+          <line
+            x1={x(v)}
+            x2={x(v)}
+            y1={PAD.top}
+            y2={PAD.top + innerHeight}
+            stroke="#0f172a"
+            strokeDasharray={name === "p50" ? undefined : "3 3"}
+          />
+          <text
+            x={x(v)}
+            y={PAD.top - 3}
+            fontSize={10}
+            textAnchor="middle"
+            fill="#334155"
+          >
+            {name}
+          </text>
+        </g>
+      ))}
+      {/* mean with its 95% confidence interval */}
+      <line
+        x1={x(meanCash.ci[0])}
+        x2={x(meanCash.ci[1])}
+        y1={errorY}
+        y2={errorY}
+        stroke="#b45309"
+        strokeWidth={2}
+      />
+      {meanCash.ci.map((v, i) => (
+        <line
+          key={i}
+          x1={x(v)}
+          x2={x(v)}
+          y1={errorY - 4}
+          y2={errorY + 4}
+          stroke="#b45309"
+          strokeWidth={2}
+        />
+      ))}
+      <circle cx={x(meanCash.mean)} cy={errorY} r={3} fill="#b45309">
+        <title>
+          {`mean ${meanCash.mean.toFixed(0)} (95% CI ${meanCash.ci[0].toFixed(0)} to ${meanCash.ci[1].toFixed(0)})`}
+        </title>
+      </circle>
+      <text x={PAD.left} y={HEIGHT - 14} fontSize={10} fill="#475569">
+        {lo.toFixed(0)}
+      </text>
+      <text
+        x={WIDTH - PAD.right}
+        y={HEIGHT - 14}
+        fontSize={10}
+        textAnchor="end"
+        fill="#475569"
+      >
+        {hi.toFixed(0)}
+      </text>
+      <text
+        x={WIDTH / 2}
+        y={HEIGHT - 2}
+        fontSize={11}
+        textAnchor="middle"
+        fill="#0f172a"
+      >
+        Ending net worth (all runs)
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * RuinMonths
+ * Number of runs that went bankrupt in each forecast month.
+ */
+function RuinMonths({ distribution }) {
+  const { counts, survived } = distribution.monthsToRuin;
+  const maxCount = Math.max(1, ...counts);
+  const barWidth = innerWidth / counts.length;
+  const every = Math.max(1, Math.ceil(24 / barWidth));
+
+  return (
+    <svg width={WIDTH} height={HEIGHT}>
+      {counts.map((c, i) => {
+        const h = (c / maxCount) * innerHeight;
+        return (
+          <g key={i}>
+            <rect
+              x={PAD.left + i * barWidth + 1}
+              y={PAD.top + innerHeight - h}
+              width={Math.max(1, barWidth - 2)}
+              height={h}
+              fill="#ef4444"
+            >
+              <title>{`month ${i + 1}: ${c} runs bankrupt`}</title>
+            </rect>
+            {i % every === 0 && (
+              <text
+                x={PAD.left + (i + 0.5) * barWidth}
+                y={HEIGHT - 14}
+                fontSize={10}
+                textAnchor="middle"
+                fill="#475569"
+              >
+                {i + 1}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line
+        x1={PAD.left}
+        x2={WIDTH - PAD.right}
+        y1={PAD.top + innerHeight}
+        y2={PAD.top + innerHeight}
+        stroke="#cbd5e1"
+      />
+      <text x={WIDTH - PAD.right} y={PAD.top} fontSize={11} textAnchor="end">
+        {survived} of {distribution.runs} runs survived
+      </text>
+      <text
+        x={WIDTH / 2}
+        y={HEIGHT - 2}
+        fontSize={11}
+        textAnchor="middle"
+        fill="#0f172a"
+      >
+        Month of bankruptcy
+      </text>
+    </svg>
+  );
+}
+
+/**
+ * ForecastDistribution
+ * Expanded view of one action's forecast (see `describeForecast`): ending
+ * net-worth histogram with quantiles and the mean's confidence interval, the
+ * months-to-bankruptcy distribution and the numbers behind both.
+ */
+export default function ForecastDistribution({ distribution }) {
+  const { survival, expectedCash, endingCash, monthsToRuin } = distribution;
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+        <CashHistogram distribution={distribution} />
+        <RuinMonths distribution={distribution} />
+      </div>
+      <div className="small">
+        Survival {pct(survival.p)} (SE {pct(survival.se)}, 95% CI{" "}
+        {pct(survival.ci[0])} – {pct(survival.ci[1])}) · expected cash of
+        survivors {expectedCash.mean.toFixed(0)} (SE{" "}
+        {expectedCash.se.toFixed(0)}, 95% CI {expectedCash.ci[0].toFixed(0)} –{" "}
+        {expectedCash.ci[1].toFixed(0)}) · ending net worth p5{" "}
+        {endingCash.p5.toFixed(0)}, median {endingCash.p50.toFixed(0)}, p95{" "}
+        {endingCash.p95.toFixed(0)}
+        {monthsToRuin.p50 !== null &&
+          ` · failed runs went bankrupt in month ${monthsToRuin.p50.toFixed(0)} (median)`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import ForecastDistribution from "./ForecastDistribution";
+import { getActionLabel, pickBestAction } from "./script";
+
+/**
+ * ForecastTable
+ * Per-action forecasts for one month (survival bar, expected cash, utility and,
+ * for the lookahead planner, the searched sequence). With `onChoose` each row
+ * gets a button to pick that action (player mode); `chosen` highlights a row.
+ * Forecasts made with the `distribution` option show 95% confidence intervals as
+ * error bars and expand to the full distribution (see `ForecastDistribution`).
+ * Adaptive planner results add the runs each action received and how sure the
+ * pick is (see `raceActions`); actions dropped from the race are dimmed.
+ */
+export default function ForecastTable({ forecasts, onChoose, chosen }) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  // If there are no forecasts (e.g., non-animated full run), render nothing
+  if (!forecasts || forecasts.length === 0) return null;
+  // lookahead planner results carry the searched sequence
+  const showPlan = forecasts.some((f) => f.plan);
+  // adaptive planner results carry their runs and confidence
+  const showRuns = forecasts.some((f) => f.runs !== undefined);
+  const best = showRuns ? pickBestAction(forecasts) : null;
+  const columns =
+    4 + (showPlan ? 1 : 0) + (showRuns ? 1 : 0) + (onChoose ? 1 : 0);
+  const toggle = (action) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(action)) next.delete(action);
+      else next.add(action);
+      return next;
+    });
+
+  return (
+    <table style={{ width: "100%" }} className="forecast-table">
+      <thead>
+        <tr>
+          <th>Action</th>
+          <th>Survival</th>
+          <th>Expected Cash</th>
+          <th>Utility</th>
+          {showPlan && <th>Planned sequence (visits)</th>}
+          {showRuns && <th>Runs (confidence)</th>}
+          {onChoose && <th />}
+        </tr>
+      </thead>
+      <tbody>
+        {forecasts.map((f) => {
+          const d = f.distribution;
+          const open = d && expanded.has(f.action);
+          return (
+            <React.Fragment key={f.action}>
+              <tr
+                className="forecast-row"
+                style={{
+                  ...(f.action === chosen ? { background: "#f1f5f9" } : {}),
+                  ...(f.eliminated ? { opacity: 0.6 } : {}),
+                }}
+              >
+                <td>
+                  {d ? (
+                    <button
+                      className="forecast-toggle"
+                      title="Show the forecast distribution"
+                      onClick={() => toggle(f.action)}
+                    >
+                      {open ? "▾" : "▸"} {f.label || getActionLabel(f.action)}
+                    </button>
+                  ) : (
+                    f.label || getActionLabel(f.action)
+                  )}
+                </td>
+                <td>
+                  <div
+                    className="forecast-bar"
+                    title={
+                      d
+                        ? `${(d.survival.p * 100).toFixed(1)}% (95% CI ${(d.survival.ci[0] * 100).toFixed(1)}–${(d.survival.ci[1] * 100).toFixed(1)}%)`
+                        : undefined
+                    }
+                  >
+                    <div
+                      style={{
+                        width: `${(f.survivalProbability * 100).toFixed(1)}%`,
+                      }}
+                    />
+                    {d && (
+                      <span
+                        className="forecast-ci"
+                        style={{
+                          left: `${(d.survival.ci[0] * 100).toFixed(1)}%`,
+                          width: `${((d.survival.ci[1] - d.survival.ci[0]) * 100).toFixed(1)}%`,
+                        }}
+                      />
+                    )}
+                  </div>
+                </td>
+                <td>
+                  {(f.expectedCash || 0).toFixed(2)}
+                  {d && (
+                    <span className="small">
+                      {" "}
+                      ±{" "}
+                      {(d.expectedCash.ci[1] - d.expectedCash.mean).toFixed(2)}
+                    </span>
+                  )}
+                </td>
+                <td>{(f.utility || 0).toFixed(3)}</td>
+                {showPlan && (
+                  <td className="small">
+                    {(f.plan || []).map(getActionLabel).join(" → ")} ({f.visits}
+                    )
+                  </td>
+                )}
+                {showRuns && (
+                  <td
+                    className="small"
+                    title={
+                      f === best
+                        ? "Lowest probability that this action beats any other"
+                        : "Probability that the picked action beats this one"
+                    }
+                  >
+                    {f.runs}
+                    {f === best
+                      ? ` · pick, ${(f.confidence * 100).toFixed(0)}% sure`
+                      : ` · ${f.eliminated ? "dropped, " : ""}pick better at ${(f.confidence * 100).toFixed(0)}%`}
+                  </td>
+                )}
+                {onChoose && (
+                  <td>
+                    <button
+                      className="button"
+                      onClick={() => onChoose(f.action)}
+                    >
+                      Choose
+                    </button>
+                  </td>
+                )}
+              </tr>
+              {open && (
+                <tr>
+                  <td colSpan={columns}>
+                    <ForecastDistribution distribution={d} />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
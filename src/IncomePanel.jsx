@@ -0,0 +1,74 @@
+import React from "react";
+import { resolveIncome } from "./income";
+import { ParamGrid } from "./Fields";
+
+const COLA_INFO = {
+  lagMonths: "Months before inflation shows up in wages",
+  passThrough: "Share of inflation passed on (1 = full indexation)",
+  reviewEveryMonths: "Months between pay reviews",
+};
+
+const JOB_LOSS_INFO = {
+  monthlyProbability: "Monthly chance of losing the job (0 = never)",
+  benefitRate: "Unemployment benefit as a share of the last salary",
+  benefitMonths: "Months the benefit is paid",
+  reemploymentProbability: "Monthly chance of finding a new job",
+};
+
+const GIG_INFO = {
+  mean: "Average monthly variable income (0 = none)",
+  volatility: "Volatility of variable income",
+};
+
+/**
+ * IncomePanel
+ * Edits the employment and income model (`options.income`): cost-of-living
+ * raises, job loss with unemployment benefits, and variable gig income.
+ */
+export default function IncomePanel({ income, onChange }) {
+  const model = resolveIncome(income);
+  const setGroup = (group, key, value) =>
+    onChange({ ...model, [group]: { ...model[group], [key]: value } });
+  const { enabled, ...colaParams } = model.cola;
+
+  return (
+    <div className="card">
+      <h3>Income</h3>
+      <div className="small">
+        How the household's income evolves. By default the salary is fixed and
+        the job is never lost. Jobless months are shaded in the chart.
+      </div>
+
+      <h4 style={{ marginBottom: 0 }}>Cost-of-living raises</h4>
+      <label className="small">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setGroup("cola", "enabled", e.target.checked)}
+        />{" "}
+        Raise the salary with (lagged) inflation
+      </label>
+      {enabled && (
+        <ParamGrid
+          values={colaParams}
+          info={COLA_INFO}
+          onChange={(k, v) => setGroup("cola", k, v)}
+        />
+      )}
+
+      <h4 style={{ marginBottom: 0 }}>Job loss</h4>
+      <ParamGrid
+        values={model.jobLoss}
+        info={JOB_LOSS_INFO}
+        onChange={(k, v) => setGroup("jobLoss", k, v)}
+      />
+
+      <h4 style={{ marginBottom: 0 }}>Variable income</h4>
+      <ParamGrid
+        values={model.gig}
+        info={GIG_INFO}
+        onChange={(k, v) => setGroup("gig", k, v)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import {
+  CSV_UNITS,
+  INFLATION_DATASETS,
+  getSeriesRates,
+  parseInflationCsv,
+} from "./inflationSources";
+import { NumberField } from "./Fields";
+import LineChart from "./LineChart";
+
+/**
+ * InflationSourcePanel
+ * Selects where inflation comes from: the random walk in `updateEconomy`, a
+ * bundled historical episode, or an uploaded CSV of monthly inflation. The
+ * panel shows which unit the CSV was read in; picking another unit re-reads it.
+ */
+export default function InflationSourcePanel({ source, onChange }) {
+  const [csvUnit, setCsvUnit] = useState("auto");
+  const [csvError, setCsvError] = useState(null);
+  const [csvFile, setCsvFile] = useState(null);
+  const rates = getSeriesRates(source);
+  const selected =
+    source.type !== "series" ? "model" : source.series ? "csv" : source.dataset;
+  const set = (key, value) => onChange({ ...source, [key]: value });
+
+  const selectSource = (value) => {
+    if (value === "model") onChange({ type: "model" });
+    else if (value === "csv")
+      onChange({ ...source, type: "series", series: [] });
+    else
+      onChange({
+        forecastMode: "bootstrap",
+        blockLength: 3,
+        ...source,
+        type: "series",
+        series: undefined,
+        label: undefined,
+        unit: undefined,
+        dataset: value,
+      });
+  };
+
+  const loadCsv = (file, unit) => {
+    try {
+      const { series, unit: readAs } = parseInflationCsv(file.text, unit);
+      setCsvError(null);
+      onChange({
+        forecastMode: "bootstrap",
+        blockLength: 3,
+        ...source,
+        type: "series",
+        dataset: undefined,
+        series,
+        label: file.name,
+        unit: readAs,
+      });
+    } catch (err) {
+      setCsvError(err.message);
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const loaded = { name: file.name, text: await file.text() };
+    setCsvFile(loaded);
+    loadCsv(loaded, csvUnit);
+  };
+
+  const handleUnit = (unit) => {
+    setCsvUnit(unit);
+    if (csvFile) loadCsv(csvFile, unit);
+  };
+
+  return (
+    <div className="card">
+      <h3>Inflation source</h3>
+      <div className="small">
+        Replay a historical inflation path instead of the random walk. Bundled
+        episodes are approximate annual CPI rates spread over each year's
+        months. Forecasts can replay the path (perfect foresight) or bootstrap
+        random historical months.
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <label className="small">
+          Source:{" "}
+          <select
+            value={selected || "model"}
+            onChange={(e) => selectSource(e.target.value)}
+          >
+            <option value="model">Random walk (model)</option>
+            {Object.entries(INFLATION_DATASETS).map(([id, dataset]) => (
+              <option key={id} value={id}>
+                {dataset.label}
+              </option>
+            ))}
+            <option value="csv">Uploaded CSV</option>
+          </select>
+        </label>
+        {source.type === "series" && (
+          <>
+            <label className="small" style={{ marginLeft: 12 }}>
+              Forecasts:{" "}
+              <select
+                value={source.forecastMode || "replay"}
+                onChange={(e) => set("forecastMode", e.target.value)}
+              >
+                <option value="replay">Replay (perfect foresight)</option>
+                <option value="bootstrap">Bootstrap historical months</option>
+              </select>
+            </label>
+            <label className="small" style={{ marginLeft: 12 }}>
+              <input
+                type="checkbox"
+                checked={!!source.loop}
+                onChange={(e) => set("loop", e.target.checked)}
+              />{" "}
+              Loop at end
+            </label>
+          </>
+        )}
+      </div>
+
+      {selected === "csv" && (
+        <div style={{ marginTop: 12 }}>
+          <label className="small">
+            Values are:{" "}
+            <select
+              value={csvUnit}
+              onChange={(e) => handleUnit(e.target.value)}
+            >
+              {Object.entries(CSV_UNITS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>{" "}
+          <input
+            type="file"
+            accept=".csv,text/csv,text/plain"
+            onChange={(e) => handleFile(e.target.files[0])}
+          />
+          {source.label && (
+            <span className="small">
+              {" "}
+              Loaded: {source.label}
+              {source.unit && ` (read as ${CSV_UNITS[source.unit]})`}
+            </span>
+          )}
+          {csvError && (
+            <div className="small" style={{ color: "#b91c1c" }}>
+              {csvError}
+            </div>
+          )}
+        </div>
+      )}
+
+      {source.type === "series" && (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr",
+            gap: 12,
+            marginTop: 12,
+          }}
+        >
+          <NumberField
+            label="startIndex"
+            hint="Series month the run starts from (0 = first)"
+            value={source.startIndex || 0}
+            onChange={(v) => set("startIndex", v)}
+          />
+          {source.forecastMode === "bootstrap" && (
+            <NumberField
+              label="blockLength"
+              hint="Average length of resampled blocks (months)"
+              value={source.blockLength || 1}
+              onChange={(v) => set("blockLength", v)}
+            />
+          )}
+        </div>
+      )}
+
+      {rates && rates.length > 1 && (
+        <div className="chart-wrap" style={{ marginTop: 12 }}>
+          <div className="small">
+            Monthly inflation (%) — {rates.length} months
+          </div>
+          <LineChart
+            data={rates.map((r, i) => ({ month: i, rate: r * 100 }))}
+            keys={["rate"]}
+            colors={["#f59e0b"]}
+            height={140}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { describeEvent, resolveLifeEvents } from "./lifeEvents";
+
+const NUMBER_FIELDS = ["probability", "cash", "salary", "expenses"];
+const STEPS = { probability: 0.01, cash: 100, salary: 0.01, expenses: 0.01 };
+
+/**
+ * LifeEventsPanel
+ * Edits the life event catalog (`options.lifeEvents`): monthly probability
+ * and cash / salary / expense impact of each event, plus custom events.
+ */
+export default function LifeEventsPanel({ lifeEvents, onChange }) {
+  const model = resolveLifeEvents(lifeEvents);
+  const [newLabel, setNewLabel] = useState("");
+  const setEvents = (events) => onChange({ ...model, events });
+  const setField = (id, field, value) =>
+    setEvents({
+      ...model.events,
+      [id]: { ...model.events[id], [field]: value },
+    });
+
+  const addEvent = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    const id = label.replace(/\W+/g, "_");
+    setEvents({ ...model.events, [id]: { label, probability: 0.01, cash: 0 } });
+    setNewLabel("");
+  };
+
+  const removeEvent = (id) => {
+    const { [id]: removed, ...rest } = model.events;
+    setEvents(rest);
+  };
+
+  return (
+    <div className="card">
+      <h3>Life events</h3>
+      <div className="small">
+        Random events drawn every month, in the real run and in every forecast.
+        Cash is a one-off amount; salary and expenses are fractions (0.1 =
+        +10%). An expense change applies to its category when one is named.
+        Events are marked on the chart.
+      </div>
+      <label className="small">
+        <input
+          type="checkbox"
+          checked={model.enabled}
+          onChange={(e) => onChange({ ...model, enabled: e.target.checked })}
+        />{" "}
+        Sample life events
+      </label>
+      {model.enabled && (
+        <>
+          <table style={{ marginTop: 8 }}>
+            <thead>
+              <tr>
+                <th>Event</th>
+                {NUMBER_FIELDS.map((field) => (
+                  <th key={field}>{field}</th>
+                ))}
+                <th>category</th>
+                <th>Impact</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(model.events).map(([id, event]) => (
+                <tr key={id}>
+                  <td>{event.label || id}</td>
+                  {NUMBER_FIELDS.map((field) => (
+                    <td key={field}>
+                      <input
+                        type="number"
+                        step={STEPS[field]}
+                        value={
+                          Number.isFinite(event[field]) ? event[field] : ""
+                        }
+                        onChange={(e) =>
+                          setField(id, field, parseFloat(e.target.value))
+                        }
+                        style={{ width: 80 }}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <input
+                      type="text"
+                      value={event.category || ""}
+                      onChange={(e) =>
+                        setField(id, "category", e.target.value || undefined)
+                      }
+                      style={{ width: 90 }}
+                    />
+                  </td>
+                  <td className="small">{describeEvent(event)}</td>
+                  <td>
+                    <button className="button" onClick={() => removeEvent(id)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ marginTop: 8 }}>
+            <input
+              type="text"
+              placeholder="New event name"
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+            />
+            <button
+              className="button"
+              style={{ marginLeft: 8 }}
+              onClick={addEvent}
+            >
+              Add event
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+import React from "react";
+
+/**
+ * LineChart
+ * Minimal SVG line chart for month-by-month data.
+ * - data: array of records with a `month` field and one numeric field per key
+ * - keys / colors: series to draw and their colors (`visibleKeys` filters them)
+ * - bands: optional array aligned with `data`; `bands[i][key]` holds
+ *   `{ p5, p25, p50, p75, p95 }` and is drawn as shaded percentile bands
+ * - markers: optional array aligned with `data`; a non-empty list of labels at
+ *   index i draws an event marker above that month (labels shown on hover)
+ * - stacked: draw the visible series as stacked areas (e.g. expense categories)
+ * - shaded: optional array of booleans aligned with `data`; months flagged true
+ *   get a light background (e.g. jobless spells)
+ * - onHover(index, x, y): called with the hovered month index (null on leave)
+ */
+export default function LineChart({
+  data,
+  keys,
+  colors,
+  height = 260,
+  highlightIndex = -1,
+  visibleKeys = keys,
+  onHover,
+  bands,
+  shaded,
+  stacked = false,
+  markers,
+}) {
+  if (!data || data.length === 0) return null;
+
+  // stacked charts plot running totals of the visible series, in key order
+  if (stacked) {
+    const shown = keys.filter((k) => visibleKeys.includes(k));
+    data = data.map((d) => {
+      const row = { ...d };
+      let total = 0;
+      shown.forEach((k) => {
+        total += d[k] || 0;
+        row[k] = total;
+      });
+      return row;
+    });
+  }
+
+  const SVG_WIDTH = 820;
+  const PAD_LEFT = 60;
+  const PAD_RIGHT = 20;
+  const PAD_BOTTOM = 30;
+
+  const innerWidth = SVG_WIDTH - PAD_LEFT - PAD_RIGHT;
+  const innerHeight = height - PAD_BOTTOM;
+
+  const x = (i) => PAD_LEFT + (i / (data.length - 1 || 1)) * innerWidth;
+
+  const allValues = [];
+  keys.forEach((k) => data.forEach((d) => allValues.push(d[k])));
+  // percentile bands (optional) widen the value range
+  if (bands) {
+    keys.forEach((k) =>
+      bands.forEach((b) => {
+        if (b && b[k]) allValues.push(b[k].p5, b[k].p95);
+      }),
+    );
+  }
+  // stacked areas start at zero
+  if (stacked) allValues.push(0);
+  const min = Math.min(...allValues);
+  const max = Math.max(...allValues);
+
+  // Y scale maps value -> svg y coordinate
+  const yScale = (v) =>
+    innerHeight - ((v - min) / (max - min || 1)) * innerHeight + 10;
+
+  // label at most ~24 months on the x axis
+  const labelEvery = Math.max(1, Math.ceil(data.length / 24));
+
+  // ticks for y axis
+  const ticks = 5;
+  const tickValues = Array.from(
+    { length: ticks + 1 },
+    (_, i) => min + ((max - min) * i) / ticks,
+  ).reverse();
+
+  // build path for a given key (only if visible)
+  const buildPath = (k) =>
+    data
+      .map((d, i) => `${i === 0 ? "M" : "L"} ${x(i)} ${yScale(d[k])}`)
+      .join(" ");
+
+  // closed area between two percentiles of `bands` for a given key
+  const buildBand = (k, lo, hi) => {
+    const upper = bands.map((b, i) => `${x(i)} ${yScale(b[k][hi])}`);
+    const lower = bands.map((b, i) => `${x(i)} ${yScale(b[k][lo])}`).reverse();
+    return `M ${upper.join(" L ")} L ${lower.join(" L ")} Z`;
+  };
+
+  // area between the previous visible series (or zero) and `k`
+  const buildStackedArea = (k) => {
+    const shown = keys.filter((key) => visibleKeys.includes(key));
+    const below = shown[shown.indexOf(k) - 1];
+    const upper = data.map((d, i) => `${x(i)} ${yScale(d[k])}`);
+    const lower = data
+      .map((d, i) => `${x(i)} ${yScale(below ? d[below] : 0)}`)
+      .reverse();
+    return `M ${upper.join(" L ")} L ${lower.join(" L ")} Z`;
+  };
+
+  // mouse handlers for tooltip/hover
+  const handleMouseMove = (e) => {
+    if (!onHover) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const xPos = e.clientX - rect.left - PAD_LEFT;
+    const idx = Math.round((xPos / innerWidth) * (data.length - 1));
+    const clamped = Math.max(0, Math.min(data.length - 1, idx));
+    onHover(clamped, e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  const handleMouseLeave = () => {
+    if (onHover) onHover(null);
+  };
+
+  return (
+    <svg
+      width={SVG_WIDTH}
+      height={height}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={handleMouseLeave}
+      style={{ cursor: onHover ? "crosshair" : "default" }}
+    >
+      {/* background grid */}
+      <rect
+        x={PAD_LEFT}
+        y={10}
+        width={innerWidth}
+        height={innerHeight}
+        fill="transparent"
+      />
+      {/* shaded months, each spanning half a step on either side */}
+      {shaded &&
+        data.map((d, i) => {
+          if (!shaded[i]) return null;
+          const step = innerWidth / (data.length - 1 || 1);
+          const left = Math.max(PAD_LEFT, x(i) - step / 2);
+          const right = Math.min(PAD_LEFT + innerWidth, x(i) + step / 2);
+          return (
+            <rect
+              key={"shade" + i}
+              x={left}
+              y={10}
+              width={right - left}
+              height={innerHeight}
+              fill="#fee2e2"
+            />
+          );
+        })}
+      {tickValues.map((tv, i) => (
+        <g key={i}>
+          <line
+            x1={PAD_LEFT}
+            x2={PAD_LEFT + innerWidth}
+            y1={yScale(tv)}
+            y2={yScale(tv)}
+            stroke="#e6eef6"
+          />
+          <text
+            x={PAD_LEFT - 8}
+            y={yScale(tv) + 4}
+            fontSize={12}
+            textAnchor="end"
+            fill="#475569"
+          >
+            {tv.toFixed(0)}
+          </text>
+        </g>
+      ))}
+
+      {/* X axis labels (thinned out for long series) */}
+      {data.map(
+        (d, i) =>
+          i % labelEvery === 0 && (
+            <text
+              key={i}
+              x={x(i)}
+              y={height - 4}
+              fontSize={11}
+              textAnchor="middle"
+              fill="#64748b"
+            >
+              {d.month}
+            </text>
+          ),
+      )}
+
+      {/* percentile bands: p5–p95 (light) and p25–p75 (darker) */}
+      {bands &&
+        keys.map(
+          (k, idx) =>
+            visibleKeys.includes(k) &&
+            bands.every((b) => b && b[k]) && (
+              <g key={k + "band"}>
+                <path
+                  d={buildBand(k, "p5", "p95")}
+                  fill={colors[idx]}
+                  opacity={0.12}
+                />
+                <path
+                  d={buildBand(k, "p25", "p75")}
+                  fill={colors[idx]}
+                  opacity={0.25}
+                />
+              </g>
+            ),
+        )}
+
+      {/* stacked areas under the series paths */}
+      {stacked &&
+        keys.map(
+          (k, idx) =>
+            visibleKeys.includes(k) && (
+              <path
+                key={k + "area"}
+                d={buildStackedArea(k)}
+                fill={colors[idx]}
+                opacity={0.35}
+              />
+            ),
+        )}
+
+      {/* series paths */}
+      {keys.map(
+        (k, idx) =>
+          visibleKeys.includes(k) && (
+            <path
+              key={k}
+              d={buildPath(k)}
+              stroke={colors[idx]}
+              fill="none"
+              strokeWidth={3}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          ),
+      )}
+
+      {/* event markers along the top edge */}
+      {markers &&
+        data.map((d, i) =>
+          markers[i] && markers[i].length ? (
+            <g key={"marker" + i}>
+              <title>{markers[i].join(", ")}</title>
+              <line
+                x1={x(i)}
+                x2={x(i)}
+                y1={10}
+                y2={10 + innerHeight}
+                stroke="#f59e0b"
+                strokeOpacity={0.35}
+              />
+              <path
+                d={`M ${x(i)} 4 L ${x(i) + 5} 10 L ${x(i)} 16 L ${x(i) - 5} 10 Z`}
+                fill="#f59e0b"
+              />
+            </g>
+          ) : null,
+        )}
+
+      {/* highlight marker */}
+      {typeof highlightIndex === "number" &&
+        highlightIndex >= 0 &&
+        data[highlightIndex] && (
+          <g>
+            <line
+              x1={x(highlightIndex)}
+              x2={x(highlightIndex)}
+              y1={10}
+              y2={10 + innerHeight}
+              stroke="#94a3b8"
+              strokeDasharray="4"
+            />
+            {keys.map(
+              (k, idx) =>
+                visibleKeys.includes(k) && (
+                  <circle
+                    key={k + "pt"}
+                    cx={x(highlightIndex)}
+                    cy={yScale(data[highlightIndex][k])}
+                    r={5}
+                    fill={colors[idx]}
+                    stroke="#fff"
+                    strokeWidth={1.5}
+                  />
+                ),
+            )}
+          </g>
+        )}
+    </svg>
+  );
+}
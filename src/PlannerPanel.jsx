@@ -0,0 +1,114 @@
+import React from "react";
+import { DEFAULT_PLANNER, PLANNERS } from "./script";
+import { NumberField } from "./Fields";
+
+/**
+ * PlannerPanel
+ * Chooses between the greedy one-step policy, its adaptive (raced) variant and
+ * the lookahead planner, and edits their depth, horizon and compute budget.
+ */
+export default function PlannerPanel({ planner, onChange }) {
+  const value = { ...DEFAULT_PLANNER, ...planner };
+  const set = (key, v) => onChange({ ...value, [key]: v });
+
+  return (
+    <div className="card">
+      <h3>Planner</h3>
+      <div className="small">
+        The greedy planner scores one action followed by months without further
+        decisions. The adaptive variant spends runs on close contenders and
+        stops once the best action is clear. The lookahead planner searches
+        sequences such as "upskill now, invest later".
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <label className="small">
+          Planner:{" "}
+          <select
+            value={value.type}
+            onChange={(e) => set("type", e.target.value)}
+          >
+            {Object.entries(PLANNERS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {value.type === "mcts" && (
+          <label className="small" style={{ marginLeft: 12 }}>
+            Rollout policy:{" "}
+            <select
+              value={value.rolloutPolicy}
+              onChange={(e) => set("rolloutPolicy", e.target.value)}
+            >
+              <option value="DO_NOTHING">Do nothing</option>
+              <option value="random">Random action</option>
+            </select>
+          </label>
+        )}
+      </div>
+      {value.type === "mcts" && (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr",
+            gap: 12,
+            marginTop: 12,
+          }}
+        >
+          <NumberField
+            label="depth"
+            hint="Decisions searched per plan (months)"
+            value={value.depth}
+            onChange={(v) => set("depth", v)}
+          />
+          <NumberField
+            label="horizon"
+            hint="Months simulated per rollout"
+            value={value.horizon}
+            onChange={(v) => set("horizon", v)}
+          />
+          <NumberField
+            label="budget"
+            hint="Rollouts per decision (0 = Monte Carlo runs × actions)"
+            value={value.budget}
+            step={100}
+            onChange={(v) => set("budget", v)}
+          />
+          <NumberField
+            label="exploration"
+            hint="UCB1 exploration constant"
+            value={value.exploration}
+            step={0.1}
+            onChange={(v) => set("exploration", v)}
+          />
+        </div>
+      )}
+      {value.type === "adaptive" && (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr",
+            gap: 12,
+            marginTop: 12,
+          }}
+        >
+          <NumberField
+            label="batch"
+            hint="Forecast runs per action and round"
+            value={value.batch}
+            step={5}
+            onChange={(v) => set("batch", v)}
+          />
+          <NumberField
+            label="confidence"
+            hint="Drop an action once the leader beats it at this level"
+            value={value.confidence}
+            step={0.01}
+            onChange={(v) => set("confidence", v)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
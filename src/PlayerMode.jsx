@@ -0,0 +1,275 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  applyAction,
+  getActionLabel,
+  getMonthRng,
+  isSolvent,
+  pickBestAction,
+  snapshotState,
+  updateEconomy,
+} from "./script";
+import { syncExpenses } from "./expenses";
+import { createEngine, isCancelled } from "./engine";
+import ForecastTable from "./ForecastTable";
+import LineChart from "./LineChart";
+
+// Rows of the final scoreboard: label, value of a snapshot, higher is better
+const SCORE_ROWS = [
+  { label: "Final cash", value: (s) => s.cash, format: (v) => v.toFixed(2) },
+  {
+    label: "Net worth",
+    value: (s) => s.netWorth ?? s.cash,
+    format: (v) => v.toFixed(2),
+  },
+  {
+    label: "Months survived",
+    value: (s, history) => (s.solvent ? history.length : history.length - 1),
+    format: (v) => String(v),
+  },
+  {
+    label: "Happiness",
+    value: (s) => s.happiness,
+    format: (v) => v.toFixed(1),
+  },
+];
+
+/**
+ * PlayerMode
+ * Workshop mode: the player picks each month's action from the forecast table
+ * while a shadow AI plays its own household on the same random draws (same
+ * seed, same per-month generators). A scoreboard compares both at the end.
+ * The game has its own engine, so Pause, Reset or an analysis elsewhere in the
+ * app does not cancel its forecasts.
+ * - engineOptions / actionParams: settings sent with every request
+ * - runs, months, seed, initialState: the scenario to play
+ */
+export default function PlayerMode({
+  engineOptions,
+  actionParams,
+  runs,
+  months,
+  seed,
+  initialState,
+}) {
+  const [game, setGame] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const tokenRef = useRef(0);
+
+  const engineRef = useRef(null);
+  useEffect(() => {
+    engineRef.current = createEngine();
+    return () => engineRef.current.dispose();
+  }, []);
+
+  // forecasts for the player (shown) and the shadow AI (used to decide)
+  const loadForecasts = async (next) => {
+    const token = tokenRef.current;
+    const month = next.month + 1;
+    const forecastSeed = getMonthRng(next.seed, month, "plan").uint32();
+    const plan = (state) =>
+      engineRef.current.run("planActions", {
+        state,
+        monteCarloRuns: runs,
+        options: { ...engineOptions, seed: forecastSeed },
+        actionParams,
+      });
+    setBusy(true);
+    setError(null);
+    try {
+      const forecasts = await plan(next.player);
+      const shadowForecasts = isSolvent(next.shadow)
+        ? await plan(next.shadow)
+        : null;
+      if (token !== tokenRef.current) return;
+      setGame({ ...next, forecasts, shadowForecasts });
+    } catch (err) {
+      // a restart cancels on purpose; anything else leaves the game waiting
+      if (token !== tokenRef.current) return;
+      setError(
+        isCancelled(err)
+          ? "The forecasts were interrupted."
+          : `The forecasts failed: ${err.message}`,
+      );
+    } finally {
+      if (token === tokenRef.current) setBusy(false);
+    }
+  };
+
+  const startGame = () => {
+    tokenRef.current += 1;
+    engineRef.current.cancel();
+    const start = () => syncExpenses(JSON.parse(JSON.stringify(initialState)));
+    const next = {
+      seed,
+      month: 0,
+      player: start(),
+      shadow: start(),
+      playerHistory: [],
+      shadowHistory: [],
+      forecasts: null,
+      shadowForecasts: null,
+      over: false,
+    };
+    setGame(next);
+    loadForecasts(next);
+  };
+
+  const choose = (action) => {
+    if (!game || busy || game.over) return;
+    const month = game.month + 1;
+    const player = JSON.parse(JSON.stringify(game.player));
+    const shadow = JSON.parse(JSON.stringify(game.shadow));
+
+    // both households face the same draws: a fresh generator from the same seed
+    applyAction(player, action);
+    updateEconomy(player, {
+      ...engineOptions,
+      rng: getMonthRng(game.seed, month),
+    });
+    let { shadowHistory } = game;
+    if (game.shadowForecasts) {
+      const shadowAction = pickBestAction(game.shadowForecasts).action;
+      applyAction(shadow, shadowAction);
+      updateEconomy(shadow, {
+        ...engineOptions,
+        rng: getMonthRng(game.seed, month),
+      });
+      shadowHistory = [
+        ...shadowHistory,
+        snapshotState(shadow, month, shadowAction),
+      ];
+    }
+
+    const next = {
+      ...game,
+      month,
+      player,
+      shadow,
+      playerHistory: [
+        ...game.playerHistory,
+        snapshotState(player, month, action),
+      ],
+      shadowHistory,
+      forecasts: null,
+      shadowForecasts: null,
+      over: !isSolvent(player) || month >= months,
+    };
+    setGame(next);
+    if (!next.over) loadForecasts(next);
+  };
+
+  const lastOf = (list) => list[list.length - 1];
+  const chartData = game
+    ? game.playerHistory.map((p, i) => {
+        const ai = game.shadowHistory[i] || lastOf(game.shadowHistory);
+        return {
+          month: p.month,
+          you: p.netWorth ?? p.cash,
+          ai: ai ? (ai.netWorth ?? ai.cash) : 0,
+        };
+      })
+    : [];
+
+  return (
+    <div className="card">
+      <h3>Player mode</h3>
+      <div className="small">
+        Pick the action yourself each month from the forecast table. A shadow AI
+        runs its own household on exactly the same inflation, market and
+        life-event draws, so the scoreboard compares decisions, not luck.
+      </div>
+      <button className="button" style={{ marginTop: 8 }} onClick={startGame}>
+        {game ? "Restart game" : "Start game"}
+      </button>
+
+      {game && (
+        <>
+          <div className="small" style={{ marginTop: 8 }}>
+            Month <strong>{game.month}</strong> of {months}
+            {busy && " — computing forecasts…"}
+            {error && (
+              <span style={{ color: "#b91c1c" }}>
+                {" "}
+                — {error}{" "}
+                <button className="button" onClick={() => loadForecasts(game)}>
+                  Retry
+                </button>
+              </span>
+            )}
+            {lastOf(game.playerHistory) && (
+              <>
+                {" "}
+                — you chose{" "}
+                <strong>
+                  {getActionLabel(lastOf(game.playerHistory).action)}
+                </strong>
+                {lastOf(game.shadowHistory) && (
+                  <>
+                    , the AI chose{" "}
+                    <strong>
+                      {getActionLabel(lastOf(game.shadowHistory).action)}
+                    </strong>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
+          {!game.over && game.forecasts && (
+            <ForecastTable forecasts={game.forecasts} onChoose={choose} />
+          )}
+
+          {chartData.length > 1 && (
+            <div className="chart-wrap" style={{ marginTop: 12 }}>
+              <div className="small">Net worth: you (blue) vs AI (gray)</div>
+              <LineChart
+                data={chartData}
+                keys={["you", "ai"]}
+                colors={["#2563eb", "#94a3b8"]}
+                height={180}
+              />
+            </div>
+          )}
+
+          {game.over && (
+            <table style={{ marginTop: 12 }}>
+              <thead>
+                <tr>
+                  <th>Scoreboard</th>
+                  <th>You</th>
+                  <th>AI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {SCORE_ROWS.map((row) => {
+                  const you = row.value(
+                    lastOf(game.playerHistory),
+                    game.playerHistory,
+                  );
+                  const ai = row.value(
+                    lastOf(game.shadowHistory),
+                    game.shadowHistory,
+                  );
+                  const best = { fontWeight: 600, color: "#15803d" };
+                  return (
+                    <tr key={row.label}>
+                      <td>{row.label}</td>
+                      <td style={you > ai ? best : {}}>{row.format(you)}</td>
+                      <td style={ai > you ? best : {}}>{row.format(ai)}</td>
+                    </tr>
+                  );
+                })}
+                <tr>
+                  <td>Survived</td>
+                  <td>{lastOf(game.playerHistory).solvent ? "yes" : "no"}</td>
+                  <td>{lastOf(game.shadowHistory).solvent ? "yes" : "no"}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
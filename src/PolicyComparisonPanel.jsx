@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import LineChart from "./LineChart";
+import { POLICIES, POLICY_COLORS } from "./policyComparison";
+
+const METRICS = { netWorth: "Net worth", cash: "Cash" };
+
+/**
+ * PolicyComparisonPanel
+ * Compares decision strategies on the same economic paths (see
+ * `comparePolicies`): an overlay of each policy's median path and a summary
+ * table of survival rate, median ending cash and median drawdown.
+ * - comparison: result of the `comparePolicies` engine task (or null)
+ * - paths / onPathsChange: number of shared paths
+ * - onRun({ policies, policyParams }) / onCancel: start or stop a comparison
+ */
+export default function PolicyComparisonPanel({
+  comparison,
+  paths,
+  onPathsChange,
+  onRun,
+  onCancel,
+}) {
+  const [selected, setSelected] = useState(Object.keys(POLICIES));
+  const [bufferMonths, setBufferMonths] = useState(
+    POLICIES.cutWhenLow.params.bufferMonths,
+  );
+  const [metric, setMetric] = useState("netWorth");
+  const [hoverIndex, setHoverIndex] = useState(-1);
+
+  const toggle = (id) =>
+    setSelected((ids) =>
+      ids.includes(id)
+        ? ids.filter((x) => x !== id)
+        : Object.keys(POLICIES).filter((x) => x === id || ids.includes(x)),
+    );
+
+  const results = comparison ? comparison.policies : [];
+  // one column per policy holding its median of the chosen metric
+  const chartData = results.length
+    ? results[0].months.map((m, i) => {
+        const row = { month: m.month };
+        results.forEach((p) => {
+          const entry = p.months[Math.min(i, p.months.length - 1)];
+          row[p.id] = entry[metric].p50;
+        });
+        return row;
+      })
+    : [];
+  const hovered = chartData[hoverIndex];
+
+  return (
+    <div className="card">
+      <h3>Policy comparison</h3>
+      <div className="small">
+        Runs each strategy on the same set of economic paths (identical
+        inflation, market, job and life-event draws), so differences come from
+        the decisions alone.
+      </div>
+      <div style={{ marginTop: 12 }}>
+        {Object.entries(POLICIES).map(([id, p]) => (
+          <label
+            key={id}
+            className="small"
+            style={{ marginRight: 12 }}
+            title={p.description}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(id)}
+              onChange={() => toggle(id)}
+            />{" "}
+            {p.label}
+          </label>
+        ))}
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <label className="small">
+          Cut below (months of expenses):{" "}
+          <input
+            type="number"
+            step={0.5}
+            value={bufferMonths}
+            onChange={(e) => setBufferMonths(Number(e.target.value))}
+          />
+        </label>{" "}
+        <label className="small">
+          Shared paths:{" "}
+          <input
+            type="number"
+            value={paths}
+            onChange={(e) => onPathsChange(Number(e.target.value))}
+          />
+        </label>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          disabled={!selected.length}
+          onClick={() =>
+            onRun({
+              policies: selected,
+              policyParams: { cutWhenLow: { bufferMonths } },
+            })
+          }
+        >
+          Compare
+        </button>
+        <button className="button" style={{ marginLeft: 8 }} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      {comparison && results.length > 0 && (
+        <div className="chart-wrap" style={{ marginTop: 12 }}>
+          <label className="small">
+            Median of{" "}
+            <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+              {Object.entries(METRICS).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <LineChart
+            data={chartData}
+            keys={results.map((p) => p.id)}
+            colors={results.map((p) => POLICY_COLORS[p.id])}
+            height={240}
+            highlightIndex={hoverIndex}
+            onHover={(idx) => setHoverIndex(idx === null ? -1 : idx)}
+          />
+          <div className="small" style={{ minHeight: 18 }}>
+            {hovered
+              ? `Month ${hovered.month} — ` +
+                results
+                  .map((p) => `${p.label}: ${hovered[p.id].toFixed(0)}`)
+                  .join(" · ")
+              : `${comparison.paths} paths, seed ${comparison.seed}. Hover the chart for values.`}
+          </div>
+          <table style={{ marginTop: 8 }}>
+            <thead>
+              <tr>
+                <th>Policy</th>
+                <th>Survival</th>
+                <th>Median ending cash</th>
+                <th>Ending cash (5–95%)</th>
+                <th>Median max drawdown</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((p) => (
+                <tr key={p.id}>
+                  <td>
+                    <span style={{ color: POLICY_COLORS[p.id] }}>■</span>{" "}
+                    {p.label}
+                  </td>
+                  <td>{(p.survivalRate * 100).toFixed(0)}%</td>
+                  <td>{p.medianEndingCash.toFixed(0)}</td>
+                  <td>
+                    {p.endingCash.p5.toFixed(0)} – {p.endingCash.p95.toFixed(0)}
+                  </td>
+                  <td>{p.medianDrawdown.toFixed(0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
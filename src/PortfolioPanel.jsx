@@ -0,0 +1,45 @@
+import React from "react";
+import { ASSET_CLASSES, resolvePortfolio } from "./portfolio";
+import { ParamGrid } from "./Fields";
+
+const PARAM_INFO = {
+  passThrough: "Share of inflation paid as interest",
+  margin: "Monthly rate on top",
+  yield: "Monthly coupon yield",
+  duration: "Loss per unit rise in monthly inflation",
+  realYield: "Monthly yield above inflation",
+  mean: "Average monthly return besides inflation",
+  inflationBeta: "How much of inflation gold tracks",
+  volatility: "Std of the monthly return",
+};
+
+/**
+ * PortfolioPanel
+ * Edits the return model of each asset class (`options.portfolio`). Equities
+ * follow the Economy panel's market returns.
+ */
+export default function PortfolioPanel({ portfolio, onChange }) {
+  const model = resolvePortfolio(portfolio);
+  const setParam = (id, key, value) =>
+    onChange({ ...model, [id]: { ...model[id], [key]: value } });
+
+  return (
+    <div className="card">
+      <h3>Portfolio</h3>
+      <div className="small">
+        How each asset class behaves. Equities earn the market return from the
+        Economy panel; the target allocation is in the Defaults editor.
+      </div>
+      {Object.keys(model).map((id) => (
+        <div key={id}>
+          <h4 style={{ marginBottom: 0 }}>{ASSET_CLASSES[id]}</h4>
+          <ParamGrid
+            values={model[id]}
+            info={PARAM_INFO}
+            onChange={(k, v) => setParam(id, k, v)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import TornadoChart from "./TornadoChart";
+import {
+  DEFAULT_SENSITIVITY_FIELDS,
+  SENSITIVITY_METHODS,
+  fieldLabel,
+  sensitivityFields,
+} from "./sensitivity";
+
+// Metrics the tornado can rank by, with their value format
+const METRICS = {
+  survivalRate: {
+    label: "Survival rate",
+    format: (v) => `${(v * 100).toFixed(0)}%`,
+  },
+  medianEndingCash: {
+    label: "Median ending cash",
+    format: (v) => v.toFixed(0),
+  },
+};
+
+/**
+ * SensitivityPanel
+ * Moves each selected initial-state field down and up by a percentage (see
+ * `runSensitivity`) and ranks the fields in a tornado chart by how much they
+ * move survival or median ending cash.
+ * - result: output of the `runSensitivity` engine task (or null)
+ * - initialState: the state whose numeric fields can be chosen
+ * - onRun({ fields, delta, paths, method }) / onCancel: start or stop an analysis
+ */
+export default function SensitivityPanel({
+  result,
+  initialState,
+  onRun,
+  onCancel,
+}) {
+  const [fields, setFields] = useState(DEFAULT_SENSITIVITY_FIELDS);
+  const [deltaPct, setDeltaPct] = useState(20);
+  const [paths, setPaths] = useState(20);
+  const [method, setMethod] = useState("passive");
+  const [metric, setMetric] = useState("survivalRate");
+
+  const available = sensitivityFields(initialState);
+  const toggle = (key) =>
+    setFields((prev) =>
+      prev.includes(key)
+        ? prev.filter((k) => k !== key)
+        : available.filter((k) => k === key || prev.includes(k)),
+    );
+
+  const { format } = METRICS[metric];
+  // rank by swing, biggest effect on top
+  const rows = result
+    ? result.fields
+        .filter((f) => !f.skipped)
+        .sort((a, b) => b.swing[metric] - a.swing[metric])
+        .map((f) => ({
+          key: f.key,
+          label: f.label,
+          low: f.low[metric],
+          high: f.high[metric],
+          title: `${f.key}: ${f.low.value.toPrecision(4)} → ${format(f.low[metric])}, ${f.high.value.toPrecision(4)} → ${format(f.high[metric])}`,
+        }))
+    : [];
+  const skipped = result ? result.fields.filter((f) => f.skipped) : [];
+  const pct = result ? `${+(result.delta * 100).toFixed(1)}%` : "";
+
+  return (
+    <div className="card">
+      <h3>Sensitivity analysis</h3>
+      <div className="small">
+        What matters most? Each field is lowered and raised by the same
+        percentage on the same economic paths, and the tornado ranks fields by
+        how far they move the result.
+      </div>
+      <div style={{ marginTop: 12 }}>
+        {available.map((key) => (
+          <label
+            key={key}
+            className="small"
+            style={{ marginRight: 12 }}
+            title={fieldLabel(key)}
+          >
+            <input
+              type="checkbox"
+              checked={fields.includes(key)}
+              onChange={() => toggle(key)}
+            />{" "}
+            {key}
+          </label>
+        ))}
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <label className="small">
+          Change (±%):{" "}
+          <input
+            type="number"
+            value={deltaPct}
+            step={5}
+            onChange={(e) => setDeltaPct(Number(e.target.value))}
+          />
+        </label>{" "}
+        <label className="small">
+          Paths:{" "}
+          <input
+            type="number"
+            value={paths}
+            onChange={(e) => setPaths(Number(e.target.value))}
+          />
+        </label>{" "}
+        <label className="small">
+          Runs:{" "}
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            {Object.entries(SENSITIVITY_METHODS).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          disabled={!fields.length}
+          onClick={() =>
+            onRun({ fields, delta: deltaPct / 100, paths, method })
+          }
+        >
+          Analyse
+        </button>
+        <button className="button" style={{ marginLeft: 8 }} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      {result && (
+        <div style={{ marginTop: 12 }}>
+          <label className="small">
+            Rank by{" "}
+            <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+              {Object.entries(METRICS).map(([k, m]) => (
+                <option key={k} value={k}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <TornadoChart
+            rows={rows}
+            baseline={result.baseline[metric]}
+            format={format}
+            lowLabel={`Field −${pct}`}
+            highLabel={`Field +${pct}`}
+          />
+          <div className="small">
+            {result.paths} paths of {result.months} months, seed {result.seed}
+            {skipped.length > 0 &&
+              ` · skipped (zero at baseline): ${skipped.map((f) => f.key).join(", ")}`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
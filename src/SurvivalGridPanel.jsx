@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import SurvivalHeatmap from "./SurvivalHeatmap";
+import { fieldLabel, sensitivityFields } from "./sensitivity";
+import { GRID_METHODS, gridValues } from "./survivalGrid";
+
+// Default axis range for a field: ±50% around its current value
+const defaultRange = (value) =>
+  value ? [value * 0.5, value * 1.5].sort((a, b) => a - b) : [0, 1];
+
+/**
+ * AxisControls
+ * Field, range and number of steps for one heatmap axis.
+ */
+function AxisControls({ name, axis, fields, initialState, onChange }) {
+  const round = (v) => +v.toPrecision(4);
+  return (
+    <div style={{ marginTop: 8 }}>
+      <label className="small">
+        {name} axis:{" "}
+        <select
+          value={axis.field}
+          onChange={(e) => {
+            const field = e.target.value;
+            const [min, max] = defaultRange(initialState[field]).map(round);
+            onChange({ ...axis, field, min, max });
+          }}
+        >
+          {fields.map((key) => (
+            <option key={key} value={key} title={fieldLabel(key)}>
+              {key}
+            </option>
+          ))}
+        </select>
+      </label>{" "}
+      <label className="small">
+        from{" "}
+        <input
+          type="number"
+          value={axis.min}
+          onChange={(e) => onChange({ ...axis, min: Number(e.target.value) })}
+        />
+      </label>{" "}
+      <label className="small">
+        to{" "}
+        <input
+          type="number"
+          value={axis.max}
+          onChange={(e) => onChange({ ...axis, max: Number(e.target.value) })}
+        />
+      </label>{" "}
+      <label className="small">
+        steps{" "}
+        <input
+          type="number"
+          value={axis.steps}
+          min={2}
+          onChange={(e) => onChange({ ...axis, steps: Number(e.target.value) })}
+        />
+      </label>
+    </div>
+  );
+}
+
+/**
+ * SurvivalGridPanel
+ * Two-parameter survival heatmap (see `runSurvivalGrid`): pick two numeric
+ * initial-state fields and their ranges, and every combination is colored by
+ * its survival probability over the chosen horizon, with the 50% and 95%
+ * frontiers drawn on top. The grid fills in while it is computed.
+ * - grid: the grid being computed or the finished result (or null)
+ * - initialState: the state the grid starts from
+ * - onRun({ xField, xValues, yField, yValues, method, paths, months }) /
+ *   onCancel: start or stop a grid
+ */
+export default function SurvivalGridPanel({
+  grid,
+  initialState,
+  onRun,
+  onCancel,
+}) {
+  const fields = sensitivityFields(initialState);
+  const axis = (field) => {
+    const [min, max] = defaultRange(initialState[field]).map(
+      (v) => +v.toPrecision(4),
+    );
+    return { field, min, max, steps: 8 };
+  };
+  const [xAxis, setXAxis] = useState(() => axis("expenses"));
+  const [yAxis, setYAxis] = useState(() => axis("inflation"));
+  const [method, setMethod] = useState("forecast");
+  const [paths, setPaths] = useState(100);
+  const [horizon, setHorizon] = useState(12);
+
+  const cellCount = Math.max(2, xAxis.steps) * Math.max(2, yAxis.steps);
+  const pending = grid ? grid.cells.flat().filter((p) => p === null).length : 0;
+
+  return (
+    <div className="card">
+      <h3>Survival heatmap</h3>
+      <div className="small">
+        Survival probability for every combination of two starting values. All
+        cells share the same economic paths, so the 50% and 95% frontiers show
+        where the household stops being safe.
+      </div>
+      <AxisControls
+        name="X"
+        axis={xAxis}
+        fields={fields}
+        initialState={initialState}
+        onChange={setXAxis}
+      />
+      <AxisControls
+        name="Y"
+        axis={yAxis}
+        fields={fields}
+        initialState={initialState}
+        onChange={setYAxis}
+      />
+      <div style={{ marginTop: 8 }}>
+        <label className="small">
+          Horizon (months):{" "}
+          <input
+            type="number"
+            value={horizon}
+            min={1}
+            onChange={(e) => setHorizon(Number(e.target.value))}
+          />
+        </label>{" "}
+        <label className="small">
+          Paths per cell:{" "}
+          <input
+            type="number"
+            value={paths}
+            min={1}
+            onChange={(e) => setPaths(Number(e.target.value))}
+          />
+        </label>{" "}
+        <label className="small">
+          Runs:{" "}
+          <select value={method} onChange={(e) => setMethod(e.target.value)}>
+            {Object.entries(GRID_METHODS).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="button"
+          style={{ marginLeft: 8 }}
+          disabled={xAxis.field === yAxis.field}
+          onClick={() =>
+            onRun({
+              xField: xAxis.field,
+              xValues: gridValues(xAxis.min, xAxis.max, xAxis.steps),
+              yField: yAxis.field,
+              yValues: gridValues(yAxis.min, yAxis.max, yAxis.steps),
+              method,
+              paths,
+              months: horizon,
+            })
+          }
+        >
+          Compute
+        </button>
+        <button className="button" style={{ marginLeft: 8 }} onClick={onCancel}>
+          Cancel
+        </button>
+        <span className="small" style={{ marginLeft: 8 }}>
+          {xAxis.field === yAxis.field
+            ? "Pick two different fields"
+            : `${cellCount} cells × ${paths} paths`}
+        </span>
+      </div>
+
+      {grid && (
+        <div style={{ marginTop: 12 }}>
+          <SurvivalHeatmap grid={grid} />
+          <div className="small">
+            {GRID_METHODS[grid.method]}, {grid.paths} paths per cell over{" "}
+            {grid.months} months, seed {grid.seed}
+            {pending > 0 && ` · ${pending} cells pending`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React from "react";
+import { contourSegments } from "./survivalGrid";
+
+// Survival color scale: red (0) -> amber (0.5) -> green (1)
+const STOPS = [
+  [0, [239, 68, 68]],
+  [0.5, [250, 204, 21]],
+  [1, [16, 185, 129]],
+];
+
+function survivalColor(p) {
+  const upper = STOPS.findIndex(([at]) => p <= at);
+  if (upper <= 0) return `rgb(${STOPS[upper < 0 ? 2 : 0][1].join(",")})`;
+  const [a, from] = STOPS[upper - 1];
+  const [b, to] = STOPS[upper];
+  const t = (p - a) / (b - a);
+  return `rgb(${from.map((c, k) => Math.round(c + (to[k] - c) * t)).join(",")})`;
+}
+
+// Frontier lines drawn over the cells
+const CONTOURS = [
+  { level: 0.5, label: "50% survival", dash: "6 4" },
+  { level: 0.95, label: "95% survival", dash: undefined },
+];
+
+/**
+ * SurvivalHeatmap
+ * Grid of survival probabilities (see `runSurvivalGrid`): x values left to
+ * right, y values bottom to top, each cell colored by its probability, with the
+ * 50% and 95% survival frontiers traced over the cells. Cells that are still
+ * null are drawn empty, so the chart can be shown while the grid fills in.
+ * - grid: `{ xField, yField, xValues, yValues, cells }` with `cells[j][i]`
+ * - format(value, field): axis tick text
+ */
+export default function SurvivalHeatmap({
+  grid,
+  format = (v) => String(+v.toPrecision(4)),
+}) {
+  if (!grid) return null;
+  const { xField, yField, xValues, yValues, cells } = grid;
+
+  const SVG_WIDTH = 820;
+  const PAD_LEFT = 80;
+  const PAD_RIGHT = 130;
+  const PAD_TOP = 16;
+  const PAD_BOTTOM = 48;
+  const cellW = (SVG_WIDTH - PAD_LEFT - PAD_RIGHT) / xValues.length;
+  const cellH = Math.min(40, Math.max(14, cellW * 0.6));
+  // tall enough for the legend on small grids
+  const height = Math.max(
+    PAD_TOP + yValues.length * cellH + PAD_BOTTOM,
+    PAD_TOP + 150,
+  );
+  // grid coordinates (column, row) -> pixel centre of that cell; row 0 at the bottom
+  const px = (gx) => PAD_LEFT + (gx + 0.5) * cellW;
+  const py = (gy) => PAD_TOP + (yValues.length - gy - 0.5) * cellH;
+  // label every tick when they fit, otherwise roughly every 60px
+  const every = (size) => Math.max(1, Math.ceil(60 / size));
+  const legendX = SVG_WIDTH - PAD_RIGHT + 24;
+
+  return (
+    <svg width={SVG_WIDTH} height={height}>
+      {cells.map((row, j) =>
+        row.map((p, i) => (
+          <rect
+            key={`${i}-${j}`}
+            x={PAD_LEFT + i * cellW}
+            y={py(j) - cellH / 2}
+            width={cellW}
+            height={cellH}
+            fill={p === null ? "#f1f5f9" : survivalColor(p)}
+            stroke="#fff"
+            strokeWidth={0.5}
+          >
+            <title>
+              {`${xField} ${format(xValues[i], xField)}, ${yField} ${format(yValues[j], yField)}: ` +
+                (p === null ? "pending" : `${(p * 100).toFixed(1)}% survive`)}
+            </title>
+          </rect>
+        )),
+      )}
+
+      {CONTOURS.map(({ level, dash }) =>
+        contourSegments(cells, level).map(([[x1, y1], [x2, y2]], k) => (
+          <line
+            key={`${level}-${k}`}
+            x1={px(x1)}
+            y1={py(y1)}
+            x2={px(x2)}
+            y2={py(y2)}
+            stroke="#0f172a"
+            strokeWidth={2}
+            strokeDasharray={dash}
+            strokeLinecap="round"
+          />
+        )),
+      )}
+
+      {/* axes */}
+      {xValues.map(
+        (v, i) =>
+          i % every(cellW) === 0 && (
+            <text
+              key={`x${i}`}
+              x={px(i)}
+              y={PAD_TOP + yValues.length * cellH + 14}
+              fontSize={11}
+              textAnchor="middle"
+              fill="#475569"
+            >
+              {format(v, xField)}
+            </text>
+          ),
+      )}
+      <text
+        x={PAD_LEFT + (xValues.length * cellW) / 2}
+        y={height - 8}
+        fontSize={12}
+        textAnchor="middle"
+        fill="#0f172a"
+      >
+        {xField}
+      </text>
+      {yValues.map(
+        (v, j) =>
+          j % every(cellH) === 0 && (
+            <text
+              key={`y${j}`}
+              x={PAD_LEFT - 6}
+              y={py(j) + 4}
+              fontSize={11}
+              textAnchor="end"
+              fill="#475569"
+            >
+              {format(v, yField)}
+            </text>
+          ),
+      )}
+      <text
+        x={14}
+        y={PAD_TOP + (yValues.length * cellH) / 2}
+        fontSize={12}
+        textAnchor="middle"
+        fill="#0f172a"
+        transform={`rotate(-90 14 ${PAD_TOP + (yValues.length * cellH) / 2})`}
+      >
+        {yField}
+      </text>
+
+      {/* legend: color scale and frontier lines */}
+      {[1, 0.75, 0.5, 0.25, 0].map((p, k) => (
+        <g key={p}>
+          <rect
+            x={legendX}
+            y={PAD_TOP + k * 18}
+            width={14}
+            height={14}
+            fill={survivalColor(p)}
+          />
+          <text
+            x={legendX + 20}
+            y={PAD_TOP + k * 18 + 11}
+            fontSize={11}
+            fill="#334155"
+          >
+            {p * 100}%
+          </text>
+        </g>
+      ))}
+      {CONTOURS.map(({ level, label, dash }, k) => (
+        <g key={level}>
+          <line
+            x1={legendX}
+            x2={legendX + 18}
+            y1={PAD_TOP + 104 + k * 18}
+            y2={PAD_TOP + 104 + k * 18}
+            stroke="#0f172a"
+            strokeWidth={2}
+            strokeDasharray={dash}
+          />
+          <text
+            x={legendX + 24}
+            y={PAD_TOP + 108 + k * 18}
+            fontSize={11}
+            fill="#334155"
+          >
+            {label}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,162 @@
+import React from "react";
+import { resolveTax, TAX_PRESETS } from "./tax";
+import { NumberField } from "./Fields";
+
+/**
+ * TaxPanel
+ * Edits the tax model (`options.tax`): a preset to start from, the bracket
+ * table, allowance/relief, inflation indexing and capital-gains tax.
+ */
+export default function TaxPanel({ tax, onChange }) {
+  const model = resolveTax(tax);
+  const set = (key, value) => onChange({ ...model, [key]: value });
+  const setBracket = (i, key, value) =>
+    set(
+      "brackets",
+      model.brackets.map((b, j) => (j === i ? { ...b, [key]: value } : b)),
+    );
+
+  return (
+    <div className="card">
+      <h3>Tax</h3>
+      <div className="small">
+        Progressive income tax on monthly pay. Leave brackets unindexed and
+        raise inflation to see bracket creep: pay rises with prices but is taxed
+        at ever higher rates.
+      </div>
+      <label className="small">
+        <input
+          type="checkbox"
+          checked={model.enabled}
+          onChange={(e) => set("enabled", e.target.checked)}
+        />{" "}
+        Tax income
+      </label>
+
+      {model.enabled && (
+        <>
+          <div style={{ marginTop: 8 }}>
+            <label className="small">
+              Preset:{" "}
+              <select
+                value=""
+                onChange={(e) =>
+                  e.target.value &&
+                  onChange({ ...model, ...TAX_PRESETS[e.target.value].tax })
+                }
+              >
+                <option value="">Load a preset…</option>
+                {Object.entries(TAX_PRESETS).map(([id, preset]) => (
+                  <option key={id} value={id}>
+                    {preset.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="small" style={{ marginLeft: 12 }}>
+              <input
+                type="checkbox"
+                checked={model.indexed}
+                onChange={(e) => set("indexed", e.target.checked)}
+              />{" "}
+              Index brackets to inflation
+            </label>
+          </div>
+
+          <table style={{ marginTop: 8 }}>
+            <thead>
+              <tr>
+                <th>Monthly income up to</th>
+                <th>Rate</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {model.brackets.map((b, i) => (
+                <tr key={i}>
+                  <td>
+                    <input
+                      type="number"
+                      placeholder="no limit"
+                      value={b.upTo ?? ""}
+                      onChange={(e) =>
+                        setBracket(
+                          i,
+                          "upTo",
+                          e.target.value === ""
+                            ? null
+                            : parseFloat(e.target.value),
+                        )
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      step={0.01}
+                      value={Number.isFinite(b.rate) ? b.rate : ""}
+                      onChange={(e) =>
+                        setBracket(i, "rate", parseFloat(e.target.value))
+                      }
+                    />
+                  </td>
+                  <td>
+                    <button
+                      className="button"
+                      onClick={() =>
+                        set(
+                          "brackets",
+                          model.brackets.filter((_, j) => j !== i),
+                        )
+                      }
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="button"
+            style={{ marginTop: 8 }}
+            onClick={() =>
+              set("brackets", [...model.brackets, { upTo: null, rate: 0 }])
+            }
+          >
+            Add bracket
+          </button>
+
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr 1fr",
+              gap: 12,
+              marginTop: 12,
+            }}
+          >
+            <NumberField
+              label="allowance"
+              hint="Monthly tax-free amount"
+              value={model.allowance}
+              onChange={(v) => set("allowance", v)}
+            />
+            <NumberField
+              label="relief"
+              hint="Monthly tax credit"
+              value={model.relief}
+              onChange={(v) => set("relief", v)}
+            />
+            <NumberField
+              label="capitalGainsRate"
+              hint="Tax on portfolio gains (0 = none)"
+              value={model.capitalGainsRate}
+              step={0.01}
+              onChange={(v) => set("capitalGainsRate", v)}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
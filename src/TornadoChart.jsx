@@ -0,0 +1,126 @@
+import React from "react";
+
+/**
+ * TornadoChart
+ * Horizontal bar chart for one-at-a-time sensitivity results. Each row has two
+ * bars starting at the baseline: one to the metric value with the field lowered
+ * and one with the field raised. Rows are drawn in the given order (rank them
+ * by swing first).
+ * - rows: `[{ key, label, low, high, title }]` (metric values)
+ * - baseline: metric value of the unchanged state
+ * - format(value): text for values on the axis and bar ends
+ * - lowLabel / highLabel: legend text for the two bars
+ */
+export default function TornadoChart({
+  rows,
+  baseline,
+  format = (v) => v.toFixed(0),
+  lowLabel = "Lower",
+  highLabel = "Higher",
+}) {
+  if (!rows || rows.length === 0) return null;
+
+  const SVG_WIDTH = 820;
+  const PAD_LEFT = 200;
+  const PAD_RIGHT = 70;
+  const PAD_TOP = 30;
+  const ROW = 30;
+  const BAR = 10;
+  const height = PAD_TOP + rows.length * ROW + 24;
+  const innerWidth = SVG_WIDTH - PAD_LEFT - PAD_RIGHT;
+
+  const values = [baseline, ...rows.flatMap((r) => [r.low, r.high])];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const x = (v) => PAD_LEFT + ((v - min) / (max - min || 1)) * innerWidth;
+  const COLORS = { low: "#3b82f6", high: "#f97316" };
+
+  // one bar from the baseline to `value`, with the value at its outer end
+  const bar = (value, y, color) => {
+    const left = Math.min(x(value), x(baseline));
+    const width = Math.max(1, Math.abs(x(value) - x(baseline)));
+    const outside = value >= baseline;
+    return (
+      <g>
+        <rect x={left} y={y} width={width} height={BAR} fill={color} rx={2} />
+        <text
+          x={outside ? left + width + 4 : left - 4}
+          y={y + BAR - 1}
+          fontSize={11}
+          textAnchor={outside ? "start" : "end"}
+          fill="#475569"
+        >
+          {format(value)}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <svg width={SVG_WIDTH} height={height}>
+      {/* legend */}
+      <rect x={PAD_LEFT} y={6} width={12} height={12} fill={COLORS.low} />
+      <text x={PAD_LEFT + 18} y={16} fontSize={12} fill="#334155">
+        {lowLabel}
+      </text>
+      <rect
+        x={PAD_LEFT + 140}
+        y={6}
+        width={12}
+        height={12}
+        fill={COLORS.high}
+      />
+      <text x={PAD_LEFT + 158} y={16} fontSize={12} fill="#334155">
+        {highLabel}
+      </text>
+
+      {rows.map((r, i) => {
+        const y = PAD_TOP + i * ROW;
+        return (
+          <g key={r.key}>
+            <title>{r.title || r.label}</title>
+            {i % 2 === 0 && (
+              <rect
+                x={0}
+                y={y - 4}
+                width={SVG_WIDTH}
+                height={ROW}
+                fill="#f8fafc"
+              />
+            )}
+            <text
+              x={PAD_LEFT - 10}
+              y={y + BAR + 3}
+              fontSize={12}
+              textAnchor="end"
+              fill="#0f172a"
+            >
+              {r.label}
+            </text>
+            {bar(r.low, y, COLORS.low)}
+            {bar(r.high, y + BAR + 2, COLORS.high)}
+          </g>
+        );
+      })}
+
+      {/* baseline */}
+      <line
+        x1={x(baseline)}
+        x2={x(baseline)}
+        y1={PAD_TOP - 6}
+        y2={PAD_TOP + rows.length * ROW}
+        stroke="#0f172a"
+        strokeDasharray="4"
+      />
+      <text
+        x={x(baseline)}
+        y={height - 6}
+        fontSize={11}
+        textAnchor="middle"
+        fill="#0f172a"
+      >
+        baseline {format(baseline)}
+      </text>
+    </svg>
+  );
+}
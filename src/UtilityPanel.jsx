@@ -0,0 +1,60 @@
+import React from "react";
+import {
+  UTILITY_MODELS,
+  UTILITY_PARAM_INFO,
+  UTILITY_PRESETS,
+  resolveUtility,
+} from "./utility";
+import { ParamGrid } from "./Fields";
+
+/**
+ * UtilityPanel
+ * Picks the utility model used by the AI and tunes its parameters.
+ * `utility` is `{ model, params }`; `onChange` receives the next value.
+ */
+export default function UtilityPanel({ utility, onChange }) {
+  const { id, params } = resolveUtility(utility);
+
+  return (
+    <div className="card">
+      <h3>Decision model</h3>
+      <div className="small">
+        How the AI scores each action's forecast. Risk-aware models look at the
+        whole distribution of ending cash, not only the average. With the same
+        seed, both presets face the same inflation path.
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <label className="small">
+          Utility model:{" "}
+          <select
+            value={id}
+            onChange={(e) => onChange({ model: e.target.value, params: {} })}
+          >
+            {Object.entries(UTILITY_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>
+                {model.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(UTILITY_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            className="button"
+            style={{ marginLeft: 8 }}
+            onClick={() => onChange(preset.utility)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <ParamGrid
+        values={params}
+        info={UTILITY_PARAM_INFO}
+        onChange={(name, value) =>
+          onChange({ model: id, params: { ...params, [name]: value } })
+        }
+      />
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import LineChart from "./LineChart";
+import { BURNOUT_MODES, resolveWellbeing } from "./wellbeing";
+import { ParamGrid } from "./Fields";
+
+const WELLBEING_INFO = {
+  baseline: "Level happiness recovers towards",
+  recoveryRate: "Share of the gap recovered each month",
+  burnoutThreshold: "Burnout is possible below this level",
+  burnoutProbability: "Monthly chance of burnout below the threshold",
+  restMonths: "Length of a forced rest (months)",
+  restPay: "Share of pay received while resting",
+  restRecovery: "Extra happiness regained per month of rest",
+  salaryCut: "Salary lost to burnout (salary cut mode)",
+  cutMemory: "How long cuts are remembered (monthly fade)",
+};
+
+/**
+ * WellbeingPanel
+ * Edits the well-being model (`options.wellbeing`) and plots happiness for the
+ * current run, with forced-rest months shaded and each burnout explained.
+ */
+export default function WellbeingPanel({
+  wellbeing,
+  onChange,
+  history,
+  highlightIndex,
+}) {
+  const model = resolveWellbeing(wellbeing);
+  const { enabled, burnoutMode, ...params } = model;
+  const set = (key, value) => onChange({ ...model, [key]: value });
+  const burnouts = history.filter((h) => h.burnout);
+
+  return (
+    <div className="card">
+      <h3>Well-being</h3>
+      <div className="small">
+        Happiness recovers over time, but WORK_MORE and repeated expense cuts
+        wear it down. Below the threshold the household may burn out. Turn on a
+        happiness weight in the decision model to let the AI care about it.
+      </div>
+      <label className="small">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => set("enabled", e.target.checked)}
+        />{" "}
+        Recovery and burnout
+      </label>
+      {enabled && (
+        <>
+          <label className="small" style={{ marginLeft: 12 }}>
+            Burnout effect:{" "}
+            <select
+              value={burnoutMode}
+              onChange={(e) => set("burnoutMode", e.target.value)}
+            >
+              {Object.entries(BURNOUT_MODES).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <ParamGrid values={params} info={WELLBEING_INFO} onChange={set} />
+        </>
+      )}
+
+      {history.length > 0 && (
+        <div className="chart-wrap" style={{ marginTop: 12 }}>
+          <LineChart
+            data={history}
+            keys={["happiness"]}
+            colors={["#db2777"]}
+            height={160}
+            highlightIndex={highlightIndex}
+            shaded={history.map((h) => h.resting)}
+          />
+        </div>
+      )}
+      {burnouts.length > 0 && (
+        <ul className="small">
+          {burnouts.map((h) => (
+            <li key={h.month}>
+              Month {h.month}: {h.burnout}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
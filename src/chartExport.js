@@ -0,0 +1,198 @@
+/*
+ Chart image export and playback recording (browser only).
+ - `composeChartSvg` wraps a rendered `LineChart` <svg> with a title, a legend and
+   an optional overlay (month, action, key numbers) into one standalone SVG.
+ - `renderSvg` rasterizes such markup onto a canvas, e.g. for PNG export.
+ - `createRecorder` turns a sequence of composed frames into a WebM video
+   (MediaRecorder on the canvas stream) or an animated GIF (`gifEncoder.js`).
+*/
+
+import { createGifEncoder, quantizeFrame } from "./gifEncoder.js";
+
+// Layout of the composed image around the chart, in chart pixels
+const PAD = 16;
+const TITLE_HEIGHT = 28;
+const LEGEND_HEIGHT = 22;
+const OVERLAY_LINE = 20;
+
+// Output sizes offered for recordings
+export const RECORDING_RESOLUTIONS = {
+  "640x360": { width: 640, height: 360, label: "640×360" },
+  "1280x720": { width: 1280, height: 720, label: "1280×720 (HD)" },
+  "1920x1080": { width: 1920, height: 1080, label: "1920×1080 (Full HD)" },
+  "1080x1080": { width: 1080, height: 1080, label: "1080×1080 (square)" },
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * composeChartSvg(svg, { title, legend, overlay, width, height })
+ * Standalone SVG markup for a chart element `svg`: `title` on top, then `legend`
+ * (`[{ label, color }]`), then the `overlay` lines (strings, drawn bold first),
+ * then the chart. `width` / `height` set the output size; the content is scaled
+ * to fit and centred on a white background.
+ */
+export function composeChartSvg(
+  svg,
+  { title = "", legend = [], overlay = [], width, height } = {},
+) {
+  const chartWidth = Number(svg.getAttribute("width")) || 820;
+  const chartHeight = Number(svg.getAttribute("height")) || 260;
+  const overlayHeight = overlay.length ? overlay.length * OVERLAY_LINE + 8 : 0;
+  const chartTop = PAD + TITLE_HEIGHT + LEGEND_HEIGHT + overlayHeight;
+  const contentWidth = chartWidth + PAD * 2;
+  const contentHeight = chartTop + chartHeight + PAD;
+
+  let x = PAD;
+  const legendItems = legend.map(({ label, color }) => {
+    const item =
+      `<rect x="${x}" y="${PAD + TITLE_HEIGHT + 4}" width="12" height="12" rx="3" fill="${color}"/>` +
+      `<text x="${x + 18}" y="${PAD + TITLE_HEIGHT + 15}" font-size="13" fill="#334155">${escapeXml(label)}</text>`;
+    x += 18 + String(label).length * 7 + 18;
+    return item;
+  });
+  const overlayItems = overlay.map(
+    (line, i) =>
+      `<text x="${PAD}" y="${PAD + TITLE_HEIGHT + LEGEND_HEIGHT + 16 + i * OVERLAY_LINE}" ` +
+      `font-size="${i === 0 ? 16 : 14}" font-weight="${i === 0 ? 700 : 400}" fill="#0f172a">${escapeXml(line)}</text>`,
+  );
+  const chart = new XMLSerializer().serializeToString(svg);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width || contentWidth}" height="${height || contentHeight}" `,
+    `viewBox="0 0 ${contentWidth} ${contentHeight}" preserveAspectRatio="xMidYMid meet" `,
+    `font-family="system-ui, -apple-system, Segoe UI, Roboto, sans-serif">`,
+    `<rect x="-10000" y="-10000" width="20000" height="20000" fill="#ffffff"/>`,
+    `<text x="${PAD}" y="${PAD + 20}" font-size="20" font-weight="700" fill="#0f172a">${escapeXml(title)}</text>`,
+    ...legendItems,
+    ...overlayItems,
+    `<g transform="translate(${PAD}, ${chartTop})">${chart}</g>`,
+    `</svg>`,
+  ].join("");
+}
+
+// Loads SVG markup as an image (a data URL keeps the canvas exportable)
+function loadSvg(markup) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Failed to render the chart"));
+    image.src =
+      "data:image/svg+xml;charset=utf-8," + encodeURIComponent(markup);
+  });
+}
+
+/**
+ * renderSvg(markup, canvas)
+ * Draws SVG markup onto `canvas` (scaled to the canvas size over white).
+ * Resolves with the canvas once the image has loaded.
+ */
+export async function renderSvg(markup, canvas) {
+  const image = await loadSvg(markup);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * svgToPng(markup, scale)
+ * Rasterizes composed markup (see `composeChartSvg`) at `scale` times its size
+ * and resolves with a PNG Blob.
+ */
+export async function svgToPng(markup, scale = 1) {
+  const image = await loadSvg(markup);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  await renderSvg(markup, canvas);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * isWebmSupported()
+ * True when the browser can record a canvas to WebM.
+ */
+export function isWebmSupported() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    "captureStream" in HTMLCanvasElement.prototype &&
+    MediaRecorder.isTypeSupported("video/webm")
+  );
+}
+
+/**
+ * createRecorder({ format, width, height, frameMs })
+ * Frame-by-frame recorder for composed chart markup. `addFrame(markup)` queues a
+ * frame (frames are drawn in order); `stop()` resolves with the finished Blob.
+ * A frame that fails to render is left out and counted in `skipped()`.
+ * - "webm": frames are pushed to a MediaRecorder as they arrive, so the video
+ *   follows the real playback speed.
+ * - "gif": frames are quantized and compressed as they arrive (only the
+ *   compressed bytes are kept) and each is shown for `frameMs`.
+ */
+export function createRecorder({ format, width, height, frameMs = 700 }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  let queue = Promise.resolve();
+  let skipped = 0;
+  const gif =
+    format === "webm" ? null : createGifEncoder(width, height, frameMs);
+
+  let mediaRecorder = null;
+  let track = null;
+  const chunks = [];
+  if (format === "webm") {
+    const stream = canvas.captureStream(0);
+    [track] = stream.getVideoTracks();
+    mediaRecorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+    mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    mediaRecorder.start();
+  }
+
+  return {
+    addFrame(markup) {
+      queue = queue
+        .then(async () => {
+          await renderSvg(markup, canvas);
+          if (track) {
+            track.requestFrame();
+          } else {
+            const { data } = canvas
+              .getContext("2d")
+              .getImageData(0, 0, width, height);
+            gif.addFrame(quantizeFrame(data));
+          }
+        })
+        // a frame that fails to render is skipped, the recording goes on
+        .catch(() => {
+          skipped++;
+        });
+      return queue;
+    },
+    skipped: () => skipped,
+    async stop() {
+      await queue;
+      if (!mediaRecorder) {
+        return new Blob([gif.finish()], { type: "image/gif" });
+      }
+      // keep the last frame on screen for one step before stopping
+      await new Promise((resolve) => setTimeout(resolve, frameMs));
+      return new Promise((resolve) => {
+        mediaRecorder.onstop = () =>
+          resolve(new Blob(chunks, { type: "video/webm" }));
+        mediaRecorder.stop();
+      });
+    },
+  };
+}
@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/*
+ Command-line runner for batch experiments (Node.js).
+ Runs the engine from `script.js` (the same code the app uses) for one or more
+ initial states and writes one record per run, or per month, as JSON lines or CSV.
+
+   node src/cli.js --months 36 --runs 200 --horizon 6 --seed 42 --repeat 20 \
+     --state cash=5000 --sweep inflation=0.02,0.05,0.1 --sweep salary=2500:3500:500
+
+ See `USAGE` below or run with `--help`.
+*/
+
+import {
+  closeSync,
+  openSync,
+  readFileSync,
+  realpathSync,
+  writeSync,
+} from "node:fs";
+import { pathToFileURL } from "node:url";
+import runSimulation, {
+  DEFAULT_PLANNER,
+  DEFAULT_STATE,
+  getDefaultState,
+  resetDefaultState,
+  setActionParams,
+  setDefaultState,
+} from "./script.js";
+import { deriveSeed, normalizeSeed, randomSeed } from "./rng.js";
+import { csvRow, historyTable } from "./runFiles.js";
+
+const USAGE = `Usage: node src/cli.js [options]
+
+Options:
+  --months N          months per run (default 24)
+  --runs N            Monte Carlo runs per decision (default 100)
+  --horizon N         forecast horizon in months (default 6)
+  --seed S            base seed, number or text (default: random)
+  --repeat N          runs per initial state (default 1); run 0 uses the seed
+                      itself, run i > 0 uses deriveSeed(seed, "repeat", i)
+  --state key=value   change one initial state field; repeatable; dotted keys
+                      reach nested fields (e.g. allocation.equities=0.7);
+                      unknown fields and non-numbers for numeric fields are
+                      rejected
+  --sweep key=values  run every combination of the listed values; repeatable;
+                      values are "a,b,c" or a range "start:stop:step"
+  --config FILE       JSON with any of "settings", "actionParams" and
+                      "initialState" (a run exported from the app works)
+  --format F          "jsonl" (default) or "csv"
+  --detail D          "summary" (one record per run, default) or "months"
+  --out FILE          write to FILE instead of standard output
+  --quiet             no progress on standard error
+  --help              show this help
+`;
+
+/**
+ * parseValue(text)
+ * Command-line value: number, boolean, JSON object/array or plain string.
+ */
+function parseValue(text) {
+  const trimmed = text.trim();
+  if (trimmed !== "" && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+  if (/^[[{]/.test(trimmed)) return JSON.parse(trimmed);
+  return trimmed;
+}
+
+/**
+ * parseSweepValues(text)
+ * "a,b,c" -> [a, b, c]; "start:stop:step" -> the inclusive numeric range.
+ */
+function parseSweepValues(text) {
+  const range = text.split(":");
+  if (range.length === 3) {
+    const [start, stop, step] = range.map(Number);
+    if (![start, stop, step].every(Number.isFinite) || step <= 0) {
+      throw new Error(`Invalid range "${text}" (expected start:stop:step)`);
+    }
+    const values = [];
+    // rounded so 0.1 steps do not drift (0.30000000000000004)
+    for (let i = 0; start + i * step <= stop + step * 1e-9; i++) {
+      values.push(Number((start + i * step).toPrecision(12)));
+    }
+    return values;
+  }
+  return text.split(",").map(parseValue);
+}
+
+// "key=value" -> [key, value text]
+function splitAssignment(arg, flag) {
+  const at = arg ? arg.indexOf("=") : -1;
+  if (at <= 0) throw new Error(`${flag} expects key=value, got "${arg}"`);
+  return [arg.slice(0, at), arg.slice(at + 1)];
+}
+
+/**
+ * checkStateValue(key, value, flag)
+ * Throws unless `key` starts with a field of `DEFAULT_STATE` and `value` is a
+ * finite number wherever the default holds a number (dotted keys are followed as
+ * far as the default state goes).
+ */
+function checkStateValue(key, value, flag) {
+  const [top, ...path] = key.split(".");
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_STATE, top)) {
+    throw new Error(`${flag}: unknown state field "${top}"`);
+  }
+  let current = DEFAULT_STATE[top];
+  for (const part of path) {
+    current =
+      current && typeof current === "object" ? current[part] : undefined;
+  }
+  if (typeof current === "number" && !Number.isFinite(value)) {
+    throw new Error(`${flag}: ${key} expects a number, got "${value}"`);
+  }
+}
+
+/**
+ * parseArgs(argv)
+ * Options object from the command-line arguments (without "node" and the
+ * script path). Throws an Error for unknown or malformed options.
+ */
+export function parseArgs(argv) {
+  const options = {
+    months: 24,
+    runs: 100,
+    horizon: 6,
+    seed: undefined,
+    repeat: 1,
+    state: [],
+    sweep: [],
+    config: null,
+    format: "jsonl",
+    detail: "summary",
+    out: null,
+    quiet: false,
+    help: false,
+  };
+  const integer = (flag, text) => {
+    const n = Number(text);
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`${flag} expects a positive integer, got "${text}"`);
+    }
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    switch (flag) {
+      case "--months":
+      case "--runs":
+      case "--horizon":
+      case "--repeat":
+        options[flag.slice(2)] = integer(flag, next());
+        break;
+      case "--seed":
+        options.seed = next();
+        break;
+      case "--state": {
+        const [key, text] = splitAssignment(next(), flag);
+        const value = parseValue(text);
+        checkStateValue(key, value, flag);
+        options.state.push([key, value]);
+        break;
+      }
+      case "--sweep": {
+        const [key, text] = splitAssignment(next(), flag);
+        const values = parseSweepValues(text);
+        values.forEach((value) => checkStateValue(key, value, flag));
+        options.sweep.push([key, values]);
+        break;
+      }
+      case "--config":
+        options.config = next();
+        break;
+      case "--format":
+        options.format = next();
+        if (!["jsonl", "csv"].includes(options.format)) {
+          throw new Error(`--format must be jsonl or csv`);
+        }
+        break;
+      case "--detail":
+        options.detail = next();
+        if (!["summary", "months"].includes(options.detail)) {
+          throw new Error(`--detail must be summary or months`);
+        }
+        break;
+      case "--out":
+        options.out = next();
+        break;
+      case "--quiet":
+        options.quiet = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option "${flag}"`);
+    }
+  }
+  return options;
+}
+
+/**
+ * sweepGrid(sweep)
+ * Cartesian product of `[[key, values], ...]` as a list of `[[key, value], ...]`
+ * assignments (a single empty assignment without sweeps).
+ */
+export function sweepGrid(sweep) {
+  return sweep.reduce(
+    (grid, [key, values]) =>
+      grid.flatMap((assignments) =>
+        values.map((value) => [...assignments, [key, value]]),
+      ),
+    [[]],
+  );
+}
+
+/**
+ * initialStateFor(base, assignments)
+ * Default state built from `base` with `[key, value]` assignments applied through
+ * `setDefaultState`, so e.g. a new `expenses` total rescales the categories.
+ */
+export function initialStateFor(base, assignments) {
+  resetDefaultState();
+  if (base) setDefaultState(base);
+  assignments.forEach(([key, value]) => {
+    const [top, ...path] = key.split(".");
+    if (!path.length) {
+      setDefaultState({ [top]: value });
+      return;
+    }
+    const nested = getDefaultState()[top] ?? {};
+    let target = nested;
+    path.slice(0, -1).forEach((part) => {
+      if (typeof target[part] !== "object" || target[part] === null) {
+        target[part] = {};
+      }
+      target = target[part];
+    });
+    target[path[path.length - 1]] = value;
+    setDefaultState({ [top]: nested });
+  });
+  return getDefaultState();
+}
+
+/**
+ * summarizeRun(history)
+ * One summary record for a finished run: survival and the last month's numbers.
+ */
+export function summarizeRun(history) {
+  const last = history[history.length - 1];
+  const actions = {};
+  history.forEach((s) => {
+    actions[s.action] = (actions[s.action] || 0) + 1;
+  });
+  return {
+    monthsSimulated: history.length,
+    survived: last ? last.solvent : true,
+    finalCash: last?.cash,
+    finalNetWorth: last?.netWorth,
+    finalDebt: last?.debt,
+    finalSalary: last?.salary,
+    finalExpenses: last?.expenses,
+    finalHappiness: last?.happiness,
+    finalInflation: last?.inflation,
+    actions,
+  };
+}
+
+const SUMMARY_COLUMNS = [
+  "monthsSimulated",
+  "survived",
+  "finalCash",
+  "finalNetWorth",
+  "finalDebt",
+  "finalSalary",
+  "finalExpenses",
+  "finalHappiness",
+  "finalInflation",
+];
+
+/**
+ * runBatch(options, write, log)
+ * Runs every sweep combination `repeat` times and passes each output line to
+ * `write`. Progress messages go to `log`.
+ */
+export function runBatch(options, write, log = () => {}) {
+  const config = options.config
+    ? JSON.parse(readFileSync(options.config, "utf8"))
+    : {};
+  if (config.actionParams) setActionParams(config.actionParams);
+  const settings = config.settings || {};
+  const engineOptions = {
+    ...settings,
+    horizon: options.horizon,
+    planner: {
+      ...DEFAULT_PLANNER,
+      ...settings.planner,
+      horizon: options.horizon,
+    },
+  };
+  const baseSeed = normalizeSeed(options.seed ?? randomSeed());
+  const grid = sweepGrid(options.sweep);
+  const fixed = options.state;
+  const total = grid.length * options.repeat;
+  let csvHeader = null;
+
+  grid.forEach((assignments, scenario) => {
+    const initialState = initialStateFor(config.initialState, [
+      ...fixed,
+      ...assignments,
+    ]);
+    const swept = Object.fromEntries(assignments);
+    for (let run = 0; run < options.repeat; run++) {
+      const seed = run === 0 ? baseSeed : deriveSeed(baseSeed, "repeat", run);
+      log(
+        `scenario ${scenario + 1}/${grid.length}, run ${run + 1}/${options.repeat} ` +
+          `(${scenario * options.repeat + run + 1}/${total}), seed ${seed}`,
+      );
+      const history = runSimulation({
+        ...engineOptions,
+        initialState,
+        months: options.months,
+        monteCarloRuns: options.runs,
+        seed,
+      }).map(({ forecasts, ...snapshot }) => snapshot);
+      const ids = { scenario, run, seed };
+
+      if (options.detail === "summary") {
+        const summary = summarizeRun(history);
+        if (options.format === "jsonl") {
+          write(JSON.stringify({ ...ids, state: swept, ...summary }));
+          continue;
+        }
+        if (!csvHeader) {
+          csvHeader = [
+            "scenario",
+            "run",
+            "seed",
+            ...options.sweep.map(([key]) => `state.${key}`),
+            ...SUMMARY_COLUMNS,
+            "actions",
+          ];
+          write(csvRow(csvHeader));
+        }
+        write(
+          csvRow([
+            scenario,
+            run,
+            seed,
+            ...options.sweep.map(([key]) => swept[key]),
+            ...SUMMARY_COLUMNS.map((key) => summary[key]),
+            Object.entries(summary.actions)
+              .map(([action, count]) => `${action}:${count}`)
+              .join(" "),
+          ]),
+        );
+      } else if (options.format === "jsonl") {
+        history.forEach((s) =>
+          write(JSON.stringify({ ...ids, state: swept, ...s })),
+        );
+      } else {
+        const { header, rows } = historyTable(history, [
+          ["scenario", () => scenario],
+          ["run", () => run],
+          ["seed", () => seed],
+          ...options.sweep.map(([key]) => [`state.${key}`, () => swept[key]]),
+        ]);
+        if (!csvHeader) {
+          csvHeader = header;
+          write(csvRow(header));
+        }
+        rows.forEach((row) => write(csvRow(row)));
+      }
+    }
+  });
+}
+
+/**
+ * main(argv)
+ * Entry point: parses arguments, runs the batch and reports errors with the
+ * usage text. Returns the process exit code.
+ */
+export function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  // files are written line by line so long studies can be followed with tail -f
+  const fd = options.out ? openSync(options.out, "w") : null;
+  const write = fd
+    ? (line) => writeSync(fd, `${line}\n`)
+    : (line) => process.stdout.write(`${line}\n`);
+  const log = options.quiet
+    ? undefined
+    : (message) => process.stderr.write(`${message}\n`);
+  try {
+    runBatch(options, write, log);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    return 1;
+  } finally {
+    if (fd) closeSync(fd);
+  }
+  return 0;
+}
+
+// run when executed directly (also through an npm bin link), not when imported
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href
+) {
+  process.exitCode = main();
+}
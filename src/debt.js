@@ -0,0 +1,152 @@
+/*
+ Debt: a revolving credit line and amortizing loans.
+ State fields:
+ - credit / creditLimit: credit line balance and limit. The line is drawn
+   automatically when cash runs out or a loan payment cannot be met.
+ - loans: `[{ balance, monthsLeft }]`, taken with the BORROW action and repaid
+   in equal (annuity) payments; `loanLimit` caps the total loan balance.
+ - missedPayments: consecutive months with a missed payment or unpaid bills
+   (negative cash). Reaching `maxMissedPayments` sets `defaulted`, which is what
+   `isSolvent` tests.
+ Model (`options.debt`): monthly rates are `inflation × passThrough + margin`,
+ so borrowing gets dearer as inflation rises.
+*/
+
+export const DEFAULT_DEBT = {
+  creditMargin: 0.015, // monthly credit line spread over inflation
+  loanMargin: 0.008, // monthly loan spread over inflation
+  passThrough: 1, // share of inflation passed on to rates
+  rateFloor: 0, // lowest monthly rate
+  minimumPaymentRate: 0.03, // minimum monthly payment as a share of credit
+  maxMissedPayments: 3, // consecutive missed months that trigger default
+};
+
+/**
+ * resolveDebt(debt)
+ * Fills in `DEFAULT_DEBT` for missing fields.
+ */
+export function resolveDebt(debt = {}) {
+  return { ...DEFAULT_DEBT, ...debt };
+}
+
+/**
+ * debtRates(inflation, debt)
+ * Monthly `{ credit, loan }` interest rates for the given inflation.
+ */
+export function debtRates(inflation, debt) {
+  const model = resolveDebt(debt);
+  const rate = (margin) =>
+    Math.max(model.rateFloor, inflation * model.passThrough + margin);
+  return { credit: rate(model.creditMargin), loan: rate(model.loanMargin) };
+}
+
+/**
+ * totalDebt(simState)
+ * Credit line balance plus all outstanding loans.
+ */
+export function totalDebt(simState) {
+  const loans = (simState.loans || []).reduce((sum, l) => sum + l.balance, 0);
+  return (simState.credit || 0) + loans;
+}
+
+/**
+ * takeLoan(simState, amount, termMonths)
+ * Adds a loan and pays its amount out as cash.
+ */
+export function takeLoan(simState, amount, termMonths) {
+  simState.loans = [
+    ...(simState.loans || []),
+    { balance: amount, monthsLeft: Math.max(1, Math.round(termMonths) || 1) },
+  ];
+  simState.cash += amount;
+}
+
+/**
+ * repayDebt(simState, amount)
+ * Pays up to `amount` of cash towards debt: the credit line first (the dearer
+ * rate), then loans from the oldest.
+ */
+export function repayDebt(simState, amount) {
+  let left = Math.max(0, Math.min(amount, simState.cash));
+  const pay = (balance) => {
+    const paid = Math.min(balance, left);
+    left -= paid;
+    simState.cash -= paid;
+    return balance - paid;
+  };
+  simState.credit = pay(simState.credit || 0);
+  simState.loans = (simState.loans || [])
+    .map((loan) => ({ ...loan, balance: pay(loan.balance) }))
+    .filter((loan) => loan.balance > 0.005);
+}
+
+// draws up to `amount` from the credit line into cash; returns the drawn sum
+function drawCredit(simState, amount) {
+  const headroom = Math.max(
+    0,
+    (simState.creditLimit || 0) - (simState.credit || 0),
+  );
+  const draw = Math.min(headroom, Math.max(0, amount));
+  simState.credit = (simState.credit || 0) + draw;
+  simState.cash += draw;
+  return draw;
+}
+
+/**
+ * serviceDebt(simState, debt)
+ * Runs the month's debt cycle after income and expenses:
+ * 1. interest accrues on the credit line and loans at inflation-linked rates,
+ * 2. negative cash (unpaid bills) is covered from the credit line,
+ * 3. loan annuities are paid, drawing on the credit line when cash is short,
+ * 4. the credit line's minimum payment (on the balance carried into the month)
+ *    is paid from cash.
+ * Any shortfall (or cash still negative) counts as a missed month; a month
+ * fully paid resets the count. Reaching `maxMissedPayments` sets `defaulted`.
+ */
+export function serviceDebt(simState, debt) {
+  const model = resolveDebt(debt);
+  const rates = debtRates(simState.inflation, model);
+  let missed = false;
+
+  // 1. credit line interest; the minimum payment is due on the balance carried
+  // into the month, not on what is drawn below
+  if (simState.credit > 0) simState.credit *= 1 + rates.credit;
+  const creditDue = (simState.credit || 0) * model.minimumPaymentRate;
+
+  // 2. unpaid bills
+  if (simState.cash < 0) drawCredit(simState, -simState.cash);
+
+  // 3. loans: annuity payment over the remaining term at this month's rate
+  simState.loans = (simState.loans || [])
+    .map((loan) => {
+      const r = rates.loan;
+      const n = Math.max(1, loan.monthsLeft);
+      const due =
+        r > 0
+          ? (loan.balance * r) / (1 - Math.pow(1 + r, -n))
+          : loan.balance / n;
+      if (simState.cash < due) drawCredit(simState, due - simState.cash);
+      const paid = Math.max(0, Math.min(due, simState.cash));
+      if (paid < due - 0.005) missed = true;
+      simState.cash -= paid;
+      return {
+        balance: loan.balance * (1 + r) - paid,
+        monthsLeft: n - 1,
+      };
+    })
+    .filter((loan) => loan.balance > 0.005);
+
+  // 4. credit line minimum payment
+  if (creditDue > 0) {
+    const paid = Math.max(0, Math.min(creditDue, simState.cash));
+    if (paid < creditDue - 0.005) missed = true;
+    simState.cash -= paid;
+    simState.credit -= paid;
+  }
+
+  if (simState.cash < 0) missed = true;
+  simState.missedPayments = missed ? (simState.missedPayments || 0) + 1 : 0;
+  if (simState.missedPayments >= model.maxMissedPayments) {
+    simState.defaulted = true;
+  }
+}
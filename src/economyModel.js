@@ -0,0 +1,127 @@
+/*
+ Economic model used by `updateEconomy` for inflation and market returns.
+ The model is a plain object (see `DEFAULT_ECONOMY`) passed as `options.economy`:
+ - inflation: random walk (the original model) or AR(1) mean reversion to a target
+ - returns: Normal or fat-tailed Student-t monthly market returns
+ - correlation: correlation between the inflation shock and the market return
+ - regimes: optional Markov switching between a "calm" and a "crisis" regime;
+   the crisis regime shifts inflation and replaces the return distribution
+ The current regime is kept in `simState.regime`.
+*/
+
+// Defaults reproduce the original hard-coded model
+export const DEFAULT_ECONOMY = {
+  inflation: {
+    process: "random-walk", // "random-walk" or "ar1"
+    target: 0.05, // long-run level for AR(1)
+    persistence: 0.9, // AR(1) coefficient φ (0 = jump to target, 1 = random walk)
+    volatility: 0.01, // std of the monthly inflation shock
+    floor: 0, // inflation never falls below this
+  },
+  returns: {
+    distribution: "normal", // "normal" or "student-t"
+    mean: 0.05,
+    volatility: 0.1,
+    degreesOfFreedom: 4, // Student-t tail heaviness (lower = fatter tails)
+  },
+  correlation: 0, // corr(inflation shock, market return), -1 .. 1
+  regimes: {
+    enabled: false,
+    pCalmToCrisis: 0.03, // monthly chance a crisis starts
+    pCrisisToCalm: 0.2, // monthly chance a crisis ends
+    crisis: {
+      inflationTarget: 0.1, // AR(1) target during a crisis
+      inflationDrift: 0.005, // extra monthly drift for the random walk
+      volatilityMultiplier: 2, // inflation shock std multiplier
+      returnMean: -0.02,
+      returnVolatility: 0.2,
+    },
+  },
+};
+
+export const INFLATION_PROCESSES = {
+  "random-walk": "Random walk",
+  ar1: "AR(1) mean reversion",
+};
+
+export const RETURN_DISTRIBUTIONS = {
+  normal: "Normal",
+  "student-t": "Student-t (fat tails)",
+};
+
+/**
+ * resolveEconomy(economy)
+ * Fills in `DEFAULT_ECONOMY` for any missing (nested) fields.
+ */
+export function resolveEconomy(economy = {}) {
+  const regimes = economy.regimes || {};
+  return {
+    inflation: { ...DEFAULT_ECONOMY.inflation, ...economy.inflation },
+    returns: { ...DEFAULT_ECONOMY.returns, ...economy.returns },
+    correlation: economy.correlation ?? DEFAULT_ECONOMY.correlation,
+    regimes: {
+      ...DEFAULT_ECONOMY.regimes,
+      ...regimes,
+      crisis: { ...DEFAULT_ECONOMY.regimes.crisis, ...regimes.crisis },
+    },
+  };
+}
+
+/**
+ * advanceEconomy(simState, economy, rng, seriesInflation)
+ * Moves the regime and inflation one month forward and returns this month's
+ * market return. When `seriesInflation` is a number (historical replay, see
+ * `inflationSources.js`) it is used as the new inflation and the return is drawn
+ * without correlation.
+ */
+export function advanceEconomy(simState, economy, rng, seriesInflation) {
+  const model = resolveEconomy(economy);
+
+  // Markov regime switch
+  let regime = "calm";
+  if (model.regimes.enabled) {
+    regime = simState.regime || "calm";
+    const pSwitch =
+      regime === "calm"
+        ? model.regimes.pCalmToCrisis
+        : model.regimes.pCrisisToCalm;
+    if (rng.next() < pSwitch) regime = regime === "calm" ? "crisis" : "calm";
+  }
+  simState.regime = regime;
+  const crisis = regime === "crisis" ? model.regimes.crisis : null;
+
+  // correlated standard normal shocks (zInflation, zReturn)
+  const series = typeof seriesInflation === "number";
+  const zInflation = series ? 0 : rng.normal();
+  const rho = series ? 0 : Math.max(-1, Math.min(1, model.correlation));
+  const zReturn = rho * zInflation + Math.sqrt(1 - rho * rho) * rng.normal();
+
+  // inflation
+  if (series) {
+    simState.inflation = seriesInflation;
+  } else {
+    const inf = model.inflation;
+    const shock =
+      inf.volatility * (crisis ? crisis.volatilityMultiplier : 1) * zInflation;
+    if (inf.process === "ar1") {
+      const target = crisis ? crisis.inflationTarget : inf.target;
+      simState.inflation =
+        target + inf.persistence * (simState.inflation - target) + shock;
+    } else {
+      simState.inflation += shock + (crisis ? crisis.inflationDrift : 0);
+    }
+    simState.inflation = Math.max(simState.inflation, inf.floor);
+  }
+
+  // market return (Student-t is scaled to keep `volatility` as its stdev)
+  const ret = model.returns;
+  const mean = crisis ? crisis.returnMean : ret.mean;
+  const volatility = crisis ? crisis.returnVolatility : ret.volatility;
+  let z = zReturn;
+  if (ret.distribution === "student-t") {
+    const df = Math.max(2.1, ret.degreesOfFreedom);
+    z =
+      (zReturn / Math.sqrt(rng.chiSquare(df) / df)) * Math.sqrt((df - 2) / df);
+  }
+  return mean + volatility * z;
+}
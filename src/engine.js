@@ -0,0 +1,111 @@
+/*
+ Promise-based client for the simulation engine.
+ - `createEngine()` runs engine tasks (see `engineTasks.js`) in a Web Worker so
+   heavy Monte Carlo work does not block the UI.
+ - `engine.run(type, payload, { onProgress })` returns a promise for the task result
+   and forwards progress messages to `onProgress`.
+ - `engine.cancel()` aborts everything in flight: the worker is terminated (and
+   lazily re-created) and pending promises reject with `EngineCancelledError`.
+ When `Worker` is unavailable (e.g. Node), tasks run on the calling thread.
+*/
+
+import { runTask } from "./engineTasks.js";
+
+export class EngineCancelledError extends Error {
+  constructor(message = "Engine task cancelled") {
+    super(message);
+    this.name = "EngineCancelledError";
+  }
+}
+
+/**
+ * isCancelled(err)
+ * True when `err` comes from `engine.cancel()` rather than a real failure.
+ */
+export function isCancelled(err) {
+  return err instanceof EngineCancelledError;
+}
+
+function spawnWorker() {
+  return new Worker(new URL("./engine.worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+/**
+ * createEngine()
+ * Returns `{ run, cancel, dispose }`; see the module comment for details.
+ */
+export function createEngine() {
+  const useWorker = typeof Worker !== "undefined";
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+  let worker = null;
+  let nextId = 1;
+
+  const handleMessage = (e) => {
+    const { id, kind } = e.data;
+    const entry = pending.get(id);
+    if (!entry) return; // cancelled or unknown
+    if (kind === "progress") {
+      if (entry.onProgress) entry.onProgress(e.data.progress);
+      return;
+    }
+    pending.delete(id);
+    if (kind === "result") entry.resolve(e.data.result);
+    else entry.reject(new Error(e.data.error));
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = spawnWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = (e) => {
+        // a crashed worker cannot finish anything in flight
+        const entries = [...pending.values()];
+        pending.clear();
+        worker = null;
+        entries.forEach((entry) =>
+          entry.reject(new Error(e.message || "Engine worker failed")),
+        );
+      };
+    }
+    return worker;
+  };
+
+  const run = (type, payload, { onProgress } = {}) => {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      if (useWorker) {
+        getWorker().postMessage({ id, type, payload });
+        return;
+      }
+      // same-thread fallback: defer so callers can attach handlers first
+      setTimeout(() => {
+        if (!pending.has(id)) return;
+        try {
+          const result = runTask(type, payload, (p) => {
+            if (pending.has(id) && onProgress) onProgress(p);
+          });
+          handleMessage({ data: { id, kind: "result", result } });
+        } catch (err) {
+          handleMessage({ data: { id, kind: "error", error: err.message } });
+        }
+      }, 0);
+    });
+  };
+
+  const cancel = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    const entries = [...pending.values()];
+    pending.clear();
+    entries.forEach((entry) => entry.reject(new EngineCancelledError()));
+  };
+
+  const dispose = () => cancel();
+
+  return { run, cancel, dispose };
+}
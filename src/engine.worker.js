@@ -0,0 +1,23 @@
+/*
+ Web Worker entry point for the simulation engine.
+ Messages in:  { id, type, payload }
+ Messages out: { id, kind: "progress", progress }
+               { id, kind: "result", result }
+               { id, kind: "error", error }
+ Cancellation is handled by the client terminating the worker (`engine.js`),
+ since a busy worker cannot read further messages until its task completes.
+*/
+
+import { runTask } from "./engineTasks.js";
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  try {
+    const result = runTask(type, payload, (progress) =>
+      self.postMessage({ id, kind: "progress", progress }),
+    );
+    self.postMessage({ id, kind: "result", result });
+  } catch (err) {
+    self.postMessage({ id, kind: "error", error: String(err?.message || err) });
+  }
+};
@@ -0,0 +1,97 @@
+/*
+ Engine tasks that can run either inside the Web Worker (`engine.worker.js`) or
+ on the calling thread as a fallback (see `engine.js`).
+ Each task takes a plain, structured-cloneable payload plus an `onProgress`
+ callback and returns a plain result, so it can be posted between threads.
+*/
+
+import runSimulation, {
+  evaluateActions,
+  planActions,
+  setActionParams,
+} from "./script.js";
+import { runEnsemble } from "./ensemble.js";
+import { comparePolicies } from "./policyComparison.js";
+import { runSensitivity } from "./sensitivity.js";
+import { runSurvivalGrid } from "./survivalGrid.js";
+
+/**
+ * withActionParams(payload)
+ * Applies `payload.actionParams` (from `getActionParams()` on the calling thread)
+ * so the worker's action registry matches the UI, then returns the rest.
+ */
+function withActionParams({ actionParams, ...payload }) {
+  if (actionParams) setActionParams(actionParams);
+  return payload;
+}
+
+export const TASKS = {
+  /**
+   * evaluateActions({ state, monteCarloRuns, options, actionParams })
+   * Per-action forecasts for one decision (see `evaluateActions` in script.js).
+   */
+  evaluateActions(payload, onProgress) {
+    const { state, monteCarloRuns, options = {} } = withActionParams(payload);
+    return evaluateActions(state, monteCarloRuns, { ...options, onProgress });
+  },
+
+  /**
+   * planActions({ state, monteCarloRuns, options, actionParams })
+   * Like `evaluateActions` but honours `options.planner` (greedy or lookahead).
+   */
+  planActions(payload, onProgress) {
+    const { state, monteCarloRuns, options = {} } = withActionParams(payload);
+    return planActions(state, monteCarloRuns, { ...options, onProgress });
+  },
+
+  /**
+   * runSimulation({ months, monteCarloRuns, initialState, seed, actionParams })
+   * Full policy run; progress is reported per month and per action.
+   */
+  runSimulation(payload, onProgress) {
+    return runSimulation({ ...withActionParams(payload), onProgress });
+  },
+
+  /**
+   * runEnsemble({ runs, months, monteCarloRuns, initialState, seed, actionParams })
+   * Repeated full runs summarized as per-month percentiles.
+   */
+  runEnsemble(payload, onProgress) {
+    return runEnsemble({ ...withActionParams(payload), onProgress });
+  },
+
+  /**
+   * comparePolicies({ policies, paths, months, monteCarloRuns, initialState, seed, actionParams })
+   * Several policies run on the same shared economic paths.
+   */
+  comparePolicies(payload, onProgress) {
+    return comparePolicies({ ...withActionParams(payload), onProgress });
+  },
+
+  /**
+   * runSensitivity({ fields, delta, paths, months, method, monteCarloRuns, initialState, seed, actionParams })
+   * One-at-a-time perturbations of the initial state for the tornado chart.
+   */
+  runSensitivity(payload, onProgress) {
+    return runSensitivity({ ...withActionParams(payload), onProgress });
+  },
+
+  /**
+   * runSurvivalGrid({ xField, xValues, yField, yValues, method, paths, months, monteCarloRuns, initialState, seed, actionParams })
+   * Survival probability over a two-field grid; finished cells are reported
+   * through `onProgress` so the heatmap fills in while it runs.
+   */
+  runSurvivalGrid(payload, onProgress) {
+    return runSurvivalGrid({ ...withActionParams(payload), onProgress });
+  },
+};
+
+/**
+ * runTask(type, payload, onProgress)
+ * Looks up and runs a task by name, throwing for unknown task types.
+ */
+export function runTask(type, payload, onProgress) {
+  const task = TASKS[type];
+  if (!task) throw new Error(`Unknown engine task: ${type}`);
+  return task(payload, onProgress || (() => {}));
+}
@@ -0,0 +1,84 @@
+/*
+ Ensemble runs: repeat the full policy run (`runSimulation`) many times and
+ summarize the spread of outcomes month by month.
+*/
+
+import runSimulation from "./script.js";
+import { deriveSeed, randomSeed } from "./rng.js";
+import { percentiles } from "./stats.js";
+
+// Snapshot fields summarized by `runEnsemble`
+export const ENSEMBLE_SERIES = [
+  "cash",
+  "expenses",
+  "salary",
+  "investment",
+  "debt",
+  "netWorth",
+];
+
+// Percentile levels reported for each series (p5 ... p95)
+export const ENSEMBLE_PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * summarizeHistories(histories, months, series)
+ * Per-month percentiles of `series` across several histories. A run that stopped
+ * early (bankrupt) keeps its last snapshot for the remaining months, so failed
+ * runs stay in the distribution. Returns `[{ month, solventFraction, cash: { p5,
+ * p25, p50, p75, p95 }, ... }]`.
+ */
+export function summarizeHistories(
+  histories,
+  months,
+  series = ENSEMBLE_SERIES,
+) {
+  const result = [];
+  for (let m = 0; m < months; m++) {
+    const snaps = histories
+      .map((h) => h[Math.min(m, h.length - 1)])
+      .filter(Boolean);
+    if (!snaps.length) break;
+    const entry = {
+      month: m + 1,
+      solventFraction:
+        histories.filter((h) => h.length > m && h[m].solvent).length /
+        histories.length,
+    };
+    series.forEach((key) => {
+      entry[key] = percentiles(
+        snaps.map((s) => s[key]),
+        ENSEMBLE_PERCENTILES,
+      );
+    });
+    result.push(entry);
+  }
+  return result;
+}
+
+/**
+ * runEnsemble({ runs, months, monteCarloRuns, initialState, seed, onProgress, ...options })
+ * Runs the full policy `runs` times (run `i` uses `deriveSeed(seed, "ensemble", i)`)
+ * and returns `{ seed, runs, months: summarizeHistories(...) }`. Other options are
+ * passed to `runSimulation`. `onProgress` receives `{ run, runs, month, months,
+ * action, actionIndex, actionCount }`.
+ */
+export function runEnsemble({
+  runs = 50,
+  months = 24,
+  seed = randomSeed(),
+  onProgress,
+  ...options
+} = {}) {
+  const histories = [];
+  for (let run = 0; run < runs; run++) {
+    histories.push(
+      runSimulation({
+        ...options,
+        months,
+        seed: deriveSeed(seed, "ensemble", run),
+        onProgress: onProgress && ((p) => onProgress({ run, runs, ...p })),
+      }),
+    );
+  }
+  return { seed, runs, months: summarizeHistories(histories, months) };
+}
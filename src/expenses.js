@@ -0,0 +1,138 @@
+/*
+ Expense categories.
+ A state may break its monthly `expenses` down into `expenseCategories`:
+   { housing: { amount, sensitivity, repriceEveryMonths, cuttable }, ... }
+ - sensitivity: how strongly the category follows general inflation
+   (1 = one-for-one, 1.3 = prices rise 30% faster than the average).
+ - repriceEveryMonths: how often new prices reach the household. Price rises
+   accumulate in between and are applied in one step (e.g. 12 = annual rent steps).
+ - cuttable: whether CUT_EXPENSES may reduce the category.
+ When categories are present `expenses` is always their total. States without
+ them keep the original single number that compounds with inflation.
+*/
+
+// Field descriptions for the Defaults editor
+export const EXPENSE_CATEGORY_INFO = {
+  amount: "Monthly amount (currency units)",
+  sensitivity: "Inflation sensitivity (1 = follows inflation)",
+  repriceEveryMonths: "Months between price changes",
+  cuttable: "Reduced by CUT_EXPENSES",
+};
+
+// Household budget used by `DEFAULT_STATE` (sums to the original 2500)
+export const DEFAULT_EXPENSE_CATEGORIES = {
+  housing: {
+    amount: 1000,
+    sensitivity: 1,
+    repriceEveryMonths: 12,
+    cuttable: false,
+  },
+  food: {
+    amount: 600,
+    sensitivity: 1.2,
+    repriceEveryMonths: 1,
+    cuttable: true,
+  },
+  transport: {
+    amount: 300,
+    sensitivity: 1.3,
+    repriceEveryMonths: 1,
+    cuttable: true,
+  },
+  utilities: {
+    amount: 200,
+    sensitivity: 1.1,
+    repriceEveryMonths: 3,
+    cuttable: false,
+  },
+  discretionary: {
+    amount: 400,
+    sensitivity: 0.6,
+    repriceEveryMonths: 1,
+    cuttable: true,
+  },
+};
+
+/**
+ * totalExpenses(categories)
+ * Sum of the category amounts.
+ */
+export function totalExpenses(categories) {
+  return Object.values(categories).reduce((sum, c) => sum + c.amount, 0);
+}
+
+/**
+ * syncExpenses(simState)
+ * Sets `expenses` to the total of `expenseCategories` (when present).
+ */
+export function syncExpenses(simState) {
+  if (simState.expenseCategories) {
+    simState.expenses = totalExpenses(simState.expenseCategories);
+  }
+  return simState;
+}
+
+/**
+ * scaleExpenseCategories(categories, total)
+ * Returns a copy of `categories` with every amount scaled so they add up to
+ * `total` (used when only the overall expenses are edited). A budget that is
+ * all zero is split evenly.
+ */
+export function scaleExpenseCategories(categories, total) {
+  const current = totalExpenses(categories);
+  const ids = Object.keys(categories);
+  const scaled = {};
+  ids.forEach((id) => {
+    const c = categories[id];
+    // an all-zero budget is split evenly instead
+    const amount =
+      current > 0 ? (c.amount * total) / current : total / ids.length;
+    scaled[id] = { ...c, amount };
+  });
+  return scaled;
+}
+
+/**
+ * inflateExpenses(simState)
+ * Grows expenses by one month of inflation. Each category accumulates
+ * `sensitivity × inflation` in `pending` and applies it every
+ * `repriceEveryMonths` months (counted in `monthsSinceRepricing`).
+ */
+export function inflateExpenses(simState) {
+  const categories = simState.expenseCategories;
+  if (!categories) {
+    simState.expenses *= 1 + simState.inflation;
+    return;
+  }
+  Object.values(categories).forEach((c) => {
+    const every = Math.max(1, Math.floor(c.repriceEveryMonths) || 1);
+    const pending = (c.pending ?? 1) * (1 + c.sensitivity * simState.inflation);
+    const months = (c.monthsSinceRepricing || 0) + 1;
+    if (months >= every) {
+      c.amount *= pending;
+      c.pending = 1;
+      c.monthsSinceRepricing = 0;
+    } else {
+      c.pending = pending;
+      c.monthsSinceRepricing = months;
+    }
+  });
+  syncExpenses(simState);
+}
+
+/**
+ * cutExpenses(simState, cut)
+ * Reduces the cuttable categories by the fraction `cut` (or the whole of
+ * `expenses` when the state has no categories).
+ */
+export function cutExpenses(simState, cut) {
+  const categories = simState.expenseCategories;
+  if (!categories) {
+    simState.expenses *= 1 - cut;
+    return;
+  }
+  Object.values(categories).forEach((c) => {
+    if (c.cuttable) c.amount *= 1 - cut;
+  });
+  syncExpenses(simState);
+}
@@ -0,0 +1,180 @@
+/*
+ Minimal animated GIF encoder (GIF89a) for recorded playback.
+ - Frames are quantized to a fixed 6×7×6 colour cube (252 colours), which is
+   plenty for flat chart graphics and keeps encoding a single pass.
+ - Pixel indices are LZW-compressed as the format requires; the file loops forever.
+ - `createGifEncoder` compresses frames as they arrive, so a long recording only
+   keeps compressed bytes in memory.
+*/
+
+// Fixed palette: 6 levels of red, 7 of green, 6 of blue, padded to 256 entries
+const LEVELS = { r: 6, g: 7, b: 6 };
+const PALETTE = (() => {
+  const colors = [];
+  for (let r = 0; r < LEVELS.r; r++) {
+    for (let g = 0; g < LEVELS.g; g++) {
+      for (let b = 0; b < LEVELS.b; b++) {
+        colors.push(
+          Math.round((r * 255) / (LEVELS.r - 1)),
+          Math.round((g * 255) / (LEVELS.g - 1)),
+          Math.round((b * 255) / (LEVELS.b - 1)),
+        );
+      }
+    }
+  }
+  while (colors.length < 256 * 3) colors.push(0);
+  return colors;
+})();
+
+/**
+ * quantizeFrame(rgba)
+ * Palette indices (one byte per pixel) for RGBA pixel data such as
+ * `ImageData.data`. Transparent pixels are treated as white.
+ */
+export function quantizeFrame(rgba) {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < indices.length; i++) {
+    const a = rgba[i * 4 + 3] / 255;
+    // blend onto white so anti-aliased edges stay light
+    const channel = (c) => c * a + 255 * (1 - a);
+    const r = Math.round((channel(rgba[i * 4]) * (LEVELS.r - 1)) / 255);
+    const g = Math.round((channel(rgba[i * 4 + 1]) * (LEVELS.g - 1)) / 255);
+    const b = Math.round((channel(rgba[i * 4 + 2]) * (LEVELS.b - 1)) / 255);
+    indices[i] = (r * LEVELS.g + g) * LEVELS.b + b;
+  }
+  return indices;
+}
+
+/**
+ * lzwEncode(indices, minCodeSize, out)
+ * Appends the GIF LZW stream for `indices` to `out` (an array of bytes), split
+ * into data sub-blocks of at most 255 bytes and ended by a zero-length block.
+ */
+function lzwEncode(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  out.push(minCodeSize);
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+}
+
+/**
+ * createGifEncoder(width, height, delayMs)
+ * Streaming version of `encodeGif`: `addFrame(indices)` compresses a frame (an
+ * output of `quantizeFrame`, `width` × `height`) right away, so only the
+ * compressed bytes are kept, and `finish()` returns the looping GIF as a
+ * Uint8Array. Each frame is shown for `delayMs`.
+ */
+export function createGifEncoder(width, height, delayMs = 500) {
+  const parts = [];
+  const delay = Math.max(2, Math.round(delayMs / 10)); // hundredths of a second
+  const writer = () => {
+    const out = [];
+    return {
+      out,
+      word: (v) => out.push(v & 0xff, (v >> 8) & 0xff),
+      text: (s) => {
+        for (let i = 0; i < s.length; i++) out.push(s.charCodeAt(i));
+      },
+    };
+  };
+
+  const header = writer();
+  header.text("GIF89a");
+  header.word(width);
+  header.word(height);
+  header.out.push(0xf7, 0, 0); // global colour table of 256 entries
+  header.out.push(...PALETTE);
+  // NETSCAPE2.0 extension: loop forever
+  header.out.push(0x21, 0xff, 0x0b);
+  header.text("NETSCAPE2.0");
+  header.out.push(0x03, 0x01, 0, 0, 0);
+  parts.push(Uint8Array.from(header.out));
+
+  return {
+    addFrame(indices) {
+      const { out, word } = writer();
+      // graphic control extension: frame delay
+      out.push(0x21, 0xf9, 0x04, 0);
+      word(delay);
+      out.push(0, 0);
+      // image descriptor covering the whole canvas, no local colour table
+      out.push(0x2c);
+      word(0);
+      word(0);
+      word(width);
+      word(height);
+      out.push(0);
+      lzwEncode(indices, 8, out);
+      parts.push(Uint8Array.from(out));
+    },
+    finish() {
+      parts.push(Uint8Array.of(0x3b));
+      const gif = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+      let offset = 0;
+      parts.forEach((p) => {
+        gif.set(p, offset);
+        offset += p.length;
+      });
+      return gif;
+    },
+  };
+}
+
+/**
+ * encodeGif(frames, width, height, delayMs)
+ * Builds a looping animated GIF from `frames` (outputs of `quantizeFrame`, all
+ * `width` × `height`), showing each for `delayMs`. Returns a Uint8Array.
+ */
+export function encodeGif(frames, width, height, delayMs = 500) {
+  const encoder = createGifEncoder(width, height, delayMs);
+  frames.forEach((indices) => encoder.addFrame(indices));
+  return encoder.finish();
+}
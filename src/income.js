@@ -0,0 +1,120 @@
+/*
+ Employment and income dynamics used by `updateEconomy` (`options.income`).
+ - cola: cost-of-living raises. Each month the inflation from `lagMonths` ago is
+   accumulated (times `passThrough`) and paid out as a raise every
+   `reviewEveryMonths` months while employed.
+ - jobLoss: monthly chance of losing the job. While unemployed the household
+   receives `benefitRate × salary` for up to `benefitMonths` months and finds a
+   new job (at the old salary) with probability `reemploymentProbability` a month.
+ - gig: optional variable income on top, lognormal with the given mean and
+   volatility, paid whether or not the household is employed.
+ Everything is off by default, which keeps the original fixed salary.
+ State fields: `employed`, `monthsUnemployed`, `inflationHistory`,
+ `colaFactor`, `monthsSinceReview` and `income` (cash received last month).
+*/
+
+export const DEFAULT_INCOME = {
+  cola: {
+    enabled: false,
+    lagMonths: 3, // raises follow inflation from this many months ago
+    passThrough: 1, // share of inflation passed on to wages
+    reviewEveryMonths: 12, // how often accumulated raises are paid
+  },
+  jobLoss: {
+    monthlyProbability: 0, // chance of losing the job each month
+    benefitRate: 0.5, // unemployment benefit as a share of the last salary
+    benefitMonths: 6, // how long the benefit is paid
+    reemploymentProbability: 0.25, // chance of finding a job each month
+  },
+  gig: {
+    mean: 0, // average monthly variable income
+    volatility: 0.3, // lognormal volatility of variable income
+  },
+};
+
+/**
+ * resolveIncome(income)
+ * Fills in `DEFAULT_INCOME` for any missing (nested) fields.
+ */
+export function resolveIncome(income = {}) {
+  return {
+    cola: { ...DEFAULT_INCOME.cola, ...income.cola },
+    jobLoss: { ...DEFAULT_INCOME.jobLoss, ...income.jobLoss },
+    gig: { ...DEFAULT_INCOME.gig, ...income.gig },
+  };
+}
+
+/**
+ * isEmployed(simState)
+ * States without an `employed` field (e.g. `DEFAULT_STATE`) count as employed.
+ */
+export function isEmployed(simState) {
+  return simState.employed !== false;
+}
+
+/**
+ * stepIncome(simState, income, rng)
+ * Advances employment and wages by one month and returns the cash income for
+ * the month (wage or benefit, plus variable income). Call after inflation has
+ * been updated for the month.
+ */
+export function stepIncome(simState, income, rng) {
+  const model = resolveIncome(income);
+  const { cola, jobLoss, gig } = model;
+
+  // cost-of-living raises from lagged inflation
+  if (cola.enabled) {
+    const lag = Math.max(0, Math.floor(cola.lagMonths) || 0);
+    const history = simState.inflationHistory || [];
+    history.push(simState.inflation);
+    while (history.length > lag + 1) history.shift();
+    simState.inflationHistory = history;
+    if (isEmployed(simState) && history.length > lag) {
+      simState.colaFactor =
+        (simState.colaFactor || 1) * (1 + cola.passThrough * history[0]);
+      simState.monthsSinceReview = (simState.monthsSinceReview || 0) + 1;
+      if (simState.monthsSinceReview >= cola.reviewEveryMonths) {
+        simState.salary *= simState.colaFactor;
+        simState.colaFactor = 1;
+        simState.monthsSinceReview = 0;
+      }
+    }
+  }
+
+  // job loss and re-employment (one draw a month keeps paths comparable)
+  if (jobLoss.monthlyProbability > 0) {
+    const u = rng.next();
+    if (isEmployed(simState)) {
+      if (u < jobLoss.monthlyProbability) {
+        simState.employed = false;
+        simState.monthsUnemployed = 0;
+        // a pending raise is lost with the job
+        simState.colaFactor = 1;
+        simState.monthsSinceReview = 0;
+      }
+    } else if (u < jobLoss.reemploymentProbability) {
+      simState.employed = true;
+      simState.monthsUnemployed = 0;
+    }
+  }
+
+  let cashIncome;
+  if (isEmployed(simState)) {
+    cashIncome = simState.salary;
+  } else {
+    simState.monthsUnemployed = (simState.monthsUnemployed || 0) + 1;
+    cashIncome =
+      simState.monthsUnemployed <= jobLoss.benefitMonths
+        ? jobLoss.benefitRate * simState.salary
+        : 0;
+  }
+
+  // variable / gig income: lognormal with mean `gig.mean`
+  if (gig.mean > 0) {
+    const v = gig.volatility;
+    cashIncome += gig.mean * Math.exp(v * rng.normal() - (v * v) / 2);
+  }
+
+  simState.income = cashIncome;
+  return cashIncome;
+}
@@ -0,0 +1,198 @@
+/*
+ Data-driven inflation sources.
+ By default `updateEconomy` moves inflation with a random walk. An inflation
+ source of type "series" replaces that with a monthly series of inflation rates,
+ either one of the bundled `INFLATION_DATASETS` or rates parsed from a CSV file:
+   { type: "series", dataset: "us1970s", forecastMode: "bootstrap", blockLength: 3 }
+   { type: "series", series: [0.004, 0.006, ...], label: "my-cpi.csv", startIndex: 12 }
+ The real run replays the series month by month. Forecasts either replay it too
+ ("replay", i.e. perfect foresight) or resample historical months ("bootstrap").
+*/
+
+/**
+ * monthlyFromAnnual(annual)
+ * Expands `[[year, annualRate], ...]` into 12 equal monthly rates per year, i.e.
+ * (1 + annual)^(1/12) - 1. Used for the bundled datasets.
+ */
+function monthlyFromAnnual(annual) {
+  const rates = [];
+  annual.forEach(([, rate]) => {
+    const monthly = Math.pow(1 + rate, 1 / 12) - 1;
+    for (let m = 0; m < 12; m++) rates.push(monthly);
+  });
+  return rates;
+}
+
+/**
+ * INFLATION_DATASETS
+ * Bundled historical episodes. The figures are approximate annual CPI inflation
+ * rates spread evenly over each year's months: good enough to stress-test the
+ * household, not an official monthly CPI record.
+ */
+export const INFLATION_DATASETS = {
+  us1970s: {
+    label: "United States 1973–1982",
+    start: "1973-01",
+    rates: monthlyFromAnnual([
+      [1973, 0.062],
+      [1974, 0.11],
+      [1975, 0.091],
+      [1976, 0.058],
+      [1977, 0.065],
+      [1978, 0.076],
+      [1979, 0.113],
+      [1980, 0.135],
+      [1981, 0.103],
+      [1982, 0.062],
+    ]),
+  },
+  kenya2008: {
+    label: "Kenya 2008–2012",
+    start: "2008-01",
+    rates: monthlyFromAnnual([
+      [2008, 0.262],
+      [2009, 0.092],
+      [2010, 0.04],
+      [2011, 0.14],
+      [2012, 0.094],
+    ]),
+  },
+  argentina2018: {
+    label: "Argentina 2018–2023",
+    start: "2018-01",
+    rates: monthlyFromAnnual([
+      [2018, 0.343],
+      [2019, 0.535],
+      [2020, 0.42],
+      [2021, 0.484],
+      [2022, 0.724],
+      [2023, 1.335],
+    ]),
+  },
+  zimbabwe2001: {
+    label: "Zimbabwe 2001–2007",
+    start: "2001-01",
+    rates: monthlyFromAnnual([
+      [2001, 0.767],
+      [2002, 1.4],
+      [2003, 4.32],
+      [2004, 2.82],
+      [2005, 3.02],
+      [2006, 10.97],
+      [2007, 244.11],
+    ]),
+  },
+};
+
+// Random-walk inflation from `updateEconomy` (the original behaviour)
+export const DEFAULT_INFLATION_SOURCE = { type: "model" };
+
+/**
+ * getSeriesRates(source)
+ * Monthly rates of a "series" source: its own `series` or the bundled dataset.
+ */
+export function getSeriesRates(source) {
+  if (!source || source.type !== "series") return null;
+  if (Array.isArray(source.series) && source.series.length) {
+    return source.series;
+  }
+  const dataset = INFLATION_DATASETS[source.dataset];
+  return dataset ? dataset.rates : null;
+}
+
+/**
+ * nextSeriesInflation(simState, source, rng, forecast)
+ * Returns next month's inflation from a "series" source and advances the
+ * state's cursor (`simState.seriesIndex`, starting at `source.startIndex`).
+ * - Real runs (and "replay" forecasts) take the next month of the series; past the
+ *   end they loop when `source.loop` is set and otherwise hold the last value.
+ * - "bootstrap" forecasts resample historical months: with probability
+ *   1 / blockLength they jump to a random month, otherwise they continue the
+ *   current block (a stationary block bootstrap).
+ */
+export function nextSeriesInflation(simState, source, rng, forecast = false) {
+  const rates = getSeriesRates(source);
+  const length = rates.length;
+  let index = simState.seriesIndex ?? (source.startIndex || 0);
+
+  if (forecast && source.forecastMode === "bootstrap") {
+    const blockLength = Math.max(1, source.blockLength || 1);
+    if (index >= length || rng.next() < 1 / blockLength) {
+      index = Math.floor(rng.next() * length);
+    }
+  } else if (index >= length) {
+    index = source.loop ? index % length : length - 1;
+  }
+
+  simState.seriesIndex = index + 1;
+  return rates[index];
+}
+
+// How the numbers of an uploaded CSV are read (see `parseInflationCsv`)
+export const CSV_UNITS = {
+  auto: "Detect automatically",
+  rate: "Monthly rate (0.005 = 0.5%)",
+  percent: "Monthly percent (0.5 = 0.5%)",
+  index: "CPI index level",
+};
+
+// Index-like: every level above 20, no month moving it by more than a third
+// and at least 80% of months not falling. A monthly-percent series, even from
+// hyperinflation, jumps around instead.
+function looksLikeIndex(values) {
+  if (values.length < 3 || values.some((v) => v <= 20)) return false;
+  const steps = values.slice(1).map((v, i) => v / values[i]);
+  return (
+    steps.every((r) => r > 3 / 4 && r < 4 / 3) &&
+    steps.filter((r) => r >= 1).length >= 0.8 * steps.length
+  );
+}
+
+/**
+ * parseInflationCsv(text, unit)
+ * Reads monthly inflation from CSV text. The last numeric column of each row is
+ * used and rows without a number (headers, notes) are skipped. `unit` is one of
+ * `CSV_UNITS`; with "auto" the values are interpreted as:
+ * - CPI index levels when they look like an index (see `looksLikeIndex`),
+ *   converted to month-over-month changes,
+ * - percentages when any value's magnitude is above 1 (divided by 100),
+ * - decimal rates otherwise.
+ * Returns `{ series, unit }`: the monthly rates and the unit they were read in.
+ * Throws when fewer than two values are found.
+ */
+export function parseInflationCsv(text, unit = "auto") {
+  const values = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const cells = line.split(/[,;\t]/).map((c) => c.trim());
+      for (let i = cells.length - 1; i >= 0; i--) {
+        const cell = cells[i].replace(/%$/, "");
+        if (cell !== "" && Number.isFinite(Number(cell))) {
+          values.push(Number(cell));
+          return;
+        }
+      }
+    });
+  if (values.length < 2) {
+    throw new Error("CSV needs at least two numeric rows of monthly inflation");
+  }
+  const detected =
+    unit !== "auto"
+      ? unit
+      : looksLikeIndex(values)
+        ? "index"
+        : values.some((v) => Math.abs(v) > 1)
+          ? "percent"
+          : "rate";
+  if (detected === "index") {
+    return {
+      series: values.slice(1).map((v, i) => v / values[i] - 1),
+      unit: detected,
+    };
+  }
+  if (detected === "percent") {
+    return { series: values.map((v) => v / 100), unit: detected };
+  }
+  return { series: values, unit: detected };
+}
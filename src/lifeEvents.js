@@ -0,0 +1,93 @@
+/*
+ Life events sampled each month by `updateEconomy` (`options.lifeEvents`).
+ Each event in the catalog has a monthly `probability` and any of:
+ - cash: one-off cash change (negative for a cost)
+ - salary: fractional salary change (0.05 = +5%)
+ - expenses: fractional change of expenses, applied to `category` when the
+   state has that expense category (e.g. a rent hike on housing) and to the
+   whole budget otherwise
+ Events are drawn in real runs and in forecasts alike; the month's events are
+ stored in `simState.events` as `[{ id, label }]`.
+*/
+
+import { scaleExpenseCategories, syncExpenses } from "./expenses.js";
+
+export const DEFAULT_LIFE_EVENTS = {
+  enabled: true,
+  events: {
+    medicalBill: { label: "Medical bill", probability: 0.02, cash: -1500 },
+    carRepair: { label: "Car repair", probability: 0.04, cash: -800 },
+    bonus: { label: "Bonus", probability: 0.03, cash: 2000 },
+    familySupport: {
+      label: "Family support request",
+      probability: 0.03,
+      cash: -600,
+    },
+    rentHike: {
+      label: "Rent hike",
+      probability: 0.02,
+      expenses: 0.1,
+      category: "housing",
+    },
+    promotion: { label: "Promotion", probability: 0.01, salary: 0.08 },
+  },
+};
+
+/**
+ * resolveLifeEvents(lifeEvents)
+ * Fills in `DEFAULT_LIFE_EVENTS` for missing fields. A given `events` catalog
+ * replaces the default one.
+ */
+export function resolveLifeEvents(lifeEvents = {}) {
+  return { ...DEFAULT_LIFE_EVENTS, ...lifeEvents };
+}
+
+/**
+ * describeEvent(event)
+ * Short summary of an event's impact, e.g. "cash −1500, expenses +10%".
+ */
+export function describeEvent(event) {
+  const parts = [];
+  const pct = (v) => `${v > 0 ? "+" : "−"}${Math.abs(v * 100).toFixed(0)}%`;
+  if (event.cash) {
+    parts.push(`cash ${event.cash > 0 ? "+" : "−"}${Math.abs(event.cash)}`);
+  }
+  if (event.salary) parts.push(`salary ${pct(event.salary)}`);
+  if (event.expenses) {
+    parts.push(`${event.category || "expenses"} ${pct(event.expenses)}`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * sampleLifeEvents(simState, lifeEvents, rng)
+ * Draws every event once for the month (one uniform each, whether or not it
+ * fires, so runs stay on the same random numbers), applies those that happen
+ * and records them in `simState.events`.
+ */
+export function sampleLifeEvents(simState, lifeEvents, rng) {
+  const model = resolveLifeEvents(lifeEvents);
+  simState.events = [];
+  if (!model.enabled) return;
+
+  Object.entries(model.events).forEach(([id, event]) => {
+    if (rng.next() >= (event.probability || 0)) return;
+    if (event.cash) simState.cash += event.cash;
+    if (event.salary) simState.salary *= 1 + event.salary;
+    if (event.expenses) {
+      const categories = simState.expenseCategories;
+      if (categories && categories[event.category]) {
+        categories[event.category].amount *= 1 + event.expenses;
+      } else if (categories) {
+        simState.expenseCategories = scaleExpenseCategories(
+          categories,
+          simState.expenses * (1 + event.expenses),
+        );
+      } else {
+        simState.expenses *= 1 + event.expenses;
+      }
+      syncExpenses(simState);
+    }
+    simState.events.push({ id, label: event.label || id });
+  });
+}
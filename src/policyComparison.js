@@ -0,0 +1,158 @@
+/*
+ Policy comparison: run several decision strategies on identical economic paths.
+ - Every policy is simulated with the same list of path seeds, and the engine draws
+   its monthly shocks (inflation, returns, job loss, events, ...) from seeded
+   per-month streams that do not depend on the action taken. Path `i` therefore
+   sees exactly the same economy under every policy (common random numbers), so
+   differences between policies come from the decisions alone.
+ - Results report, per policy, the survival rate, median ending cash and median
+   maximum drawdown of net worth, plus per-month percentiles for the overlay chart.
+*/
+
+import runSimulation, {
+  DEFAULT_STATE,
+  getActionCandidates,
+  netWorth,
+} from "./script.js";
+import { summarizeHistories } from "./ensemble.js";
+import { deriveSeed, randomSeed } from "./rng.js";
+import { percentiles } from "./stats.js";
+
+/**
+ * availableAction(state, id)
+ * Candidate key of the first available variant of action `id`, falling back to
+ * DO_NOTHING when it is not available in `state` (e.g. INVEST without cash).
+ */
+function availableAction(state, id) {
+  const candidate = getActionCandidates(state).find((c) => c.id === id);
+  return candidate ? candidate.key : "DO_NOTHING";
+}
+
+// Built-in strategies. `choose(state, options)` returns an action key; policies
+// without `choose` use the engine's planner (`chooseBestAction`).
+export const POLICIES = {
+  greedy: {
+    label: "Greedy AI",
+    description: "The planner's Monte Carlo choice each month",
+  },
+  alwaysInvest: {
+    label: "Always INVEST",
+    description: "Invests every month while there is cash to invest",
+    choose: (state) => availableAction(state, "INVEST"),
+  },
+  alwaysDoNothing: {
+    label: "Always DO_NOTHING",
+    description: "Never acts",
+    choose: () => "DO_NOTHING",
+  },
+  cutWhenLow: {
+    label: "Cut when cash is low",
+    description: "CUT_EXPENSES when cash is below N months of expenses",
+    params: { bufferMonths: 3 },
+    choose: (state, { bufferMonths }) =>
+      state.cash < bufferMonths * state.expenses
+        ? availableAction(state, "CUT_EXPENSES")
+        : "DO_NOTHING",
+  },
+};
+
+// Stable colors for the overlay chart, in POLICIES order
+export const POLICY_COLORS = {
+  greedy: "#0369a1",
+  alwaysInvest: "#16a34a",
+  alwaysDoNothing: "#64748b",
+  cutWhenLow: "#dc2626",
+};
+
+/**
+ * maxDrawdown(values)
+ * Largest peak-to-trough fall of a series, in currency units (0 if it never falls).
+ */
+export function maxDrawdown(values) {
+  let peak = -Infinity;
+  let drawdown = 0;
+  values.forEach((v) => {
+    peak = Math.max(peak, v);
+    drawdown = Math.max(drawdown, peak - v);
+  });
+  return drawdown;
+}
+
+/**
+ * summarizePolicy(histories, months, startNetWorth)
+ * Per-policy statistics over its runs: survival rate (share of runs still solvent
+ * at the end), median ending cash, median maximum drawdown of net worth (starting
+ * from `startNetWorth`) and per-month percentiles of cash and net worth.
+ */
+export function summarizePolicy(histories, months, startNetWorth) {
+  const last = histories.map((h) => h[h.length - 1]).filter(Boolean);
+  const survived = histories.filter(
+    (h) => h.length >= months && h[h.length - 1].solvent,
+  ).length;
+  const drawdowns = histories.map((h) =>
+    maxDrawdown([startNetWorth, ...h.map((s) => s.netWorth)]),
+  );
+  const endingCash = percentiles(last.map((s) => s.cash));
+  return {
+    survivalRate: histories.length ? survived / histories.length : 0,
+    endingCash,
+    medianEndingCash: endingCash.p50,
+    medianDrawdown: percentiles(drawdowns).p50,
+    months: summarizeHistories(histories, months, ["cash", "netWorth"]),
+  };
+}
+
+/**
+ * comparePolicies({ policies, paths, months, seed, initialState, policyParams, onProgress, ...options })
+ * Runs each policy id in `policies` (see `POLICIES`) on the same `paths` economic
+ * paths with `runSimulation`. Path `i` uses `deriveSeed(seed, "path", i)` for every
+ * policy. Other options (`monteCarloRuns`, `utility`, `economy`, ...) go to
+ * `runSimulation`; `policyParams` overrides rule parameters, e.g.
+ * `{ cutWhenLow: { bufferMonths: 2 } }`. Returns `{ seed, paths, months,
+ * policies: [{ id, label, survivalRate, medianEndingCash, medianDrawdown, ... }] }`.
+ * `onProgress` receives `{ run, runs, month, months, ... }` over all policy runs.
+ */
+export function comparePolicies({
+  policies = Object.keys(POLICIES),
+  paths = 20,
+  months = 24,
+  seed = randomSeed(),
+  initialState,
+  policyParams = {},
+  onProgress,
+  ...options
+} = {}) {
+  // the shared shock paths: one seed per path, reused by every policy
+  const pathSeeds = Array.from({ length: paths }, (_, i) =>
+    deriveSeed(seed, "path", i),
+  );
+  const start = JSON.parse(JSON.stringify(initialState || DEFAULT_STATE));
+  const startNetWorth = netWorth(start);
+  const ids = policies.filter((id) => POLICIES[id]);
+  const runs = ids.length * paths;
+
+  const results = ids.map((id, policyIndex) => {
+    const def = POLICIES[id];
+    const params = { ...def.params, ...policyParams[id] };
+    const policy = def.choose && ((state) => def.choose(state, params));
+    const histories = pathSeeds.map((pathSeed, path) => {
+      const run = policyIndex * paths + path;
+      return runSimulation({
+        ...options,
+        initialState: start,
+        months,
+        seed: pathSeed,
+        policy,
+        onProgress: onProgress && ((p) => onProgress({ run, runs, ...p })),
+      }).map(({ forecasts, ...snapshot }) => snapshot);
+    });
+    return {
+      id,
+      label: def.label,
+      params,
+      ...summarizePolicy(histories, months, startNetWorth),
+    };
+  });
+
+  return { seed, paths, months, policies: results };
+}
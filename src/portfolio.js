@@ -0,0 +1,200 @@
+/*
+ Multi-asset portfolio.
+ State fields:
+ - portfolio: holdings per asset class `{ savings, equities, bonds,
+   inflationLinked, gold }`, marked to market every month. `investment` is kept
+   equal to their total; a state without `portfolio` starts with its
+   `investment` held in equities.
+ - allocation: target weights used by INVEST (new money) and REBALANCE.
+ Model (`options.portfolio`), per asset class:
+ - savings: earns `passThrough × inflation + margin` (never below zero)
+ - equities: the market return of the economic model (`economyModel.js`)
+ - bonds: `yield − duration × (change in inflation)`, so inflation spikes hurt
+ - inflationLinked: `inflation + realYield`
+ - gold: `mean + inflationBeta × inflation + volatility × z`
+*/
+
+export const ASSET_CLASSES = {
+  savings: "Savings",
+  equities: "Equities",
+  bonds: "Bonds",
+  inflationLinked: "Inflation-linked bonds",
+  gold: "Gold",
+};
+
+export const DEFAULT_PORTFOLIO = {
+  savings: { passThrough: 0.5, margin: 0 },
+  bonds: { yield: 0.004, duration: 3 },
+  inflationLinked: { realYield: 0.001 },
+  gold: { mean: 0, inflationBeta: 1, volatility: 0.04 },
+};
+
+// Target weights used by `DEFAULT_STATE.allocation`
+export const DEFAULT_ALLOCATION = {
+  savings: 0.1,
+  equities: 0.55,
+  bonds: 0.2,
+  inflationLinked: 0.1,
+  gold: 0.05,
+};
+
+/**
+ * resolvePortfolio(portfolio)
+ * Fills in `DEFAULT_PORTFOLIO` for missing (nested) fields.
+ */
+export function resolvePortfolio(portfolio = {}) {
+  const model = {};
+  Object.keys(DEFAULT_PORTFOLIO).forEach((id) => {
+    model[id] = { ...DEFAULT_PORTFOLIO[id], ...portfolio[id] };
+  });
+  return model;
+}
+
+/**
+ * getHoldings(simState)
+ * Returns the state's holdings, creating them on first use (with any existing
+ * `investment` held in equities).
+ */
+export function getHoldings(simState) {
+  if (!simState.portfolio) {
+    const holdings = {};
+    Object.keys(ASSET_CLASSES).forEach((id) => (holdings[id] = 0));
+    holdings.equities = simState.investment || 0;
+    simState.portfolio = holdings;
+  }
+  return simState.portfolio;
+}
+
+/**
+ * portfolioValue(simState)
+ * Market value of all holdings (falls back to `investment`).
+ */
+export function portfolioValue(simState) {
+  if (!simState.portfolio) return simState.investment || 0;
+  return Object.values(simState.portfolio).reduce((sum, v) => sum + v, 0);
+}
+
+// keeps `investment` equal to the marked-to-market total
+function syncInvestment(simState) {
+  simState.investment = portfolioValue(simState);
+}
+
+// normalized target weights (equities only when none are set)
+function targetWeights(simState) {
+  const allocation = simState.allocation || { equities: 1 };
+  const ids = Object.keys(ASSET_CLASSES);
+  const total = ids.reduce((sum, id) => sum + (allocation[id] || 0), 0);
+  const weights = {};
+  ids.forEach((id) => {
+    weights[id] =
+      total > 0 ? (allocation[id] || 0) / total : id === "equities" ? 1 : 0;
+  });
+  return weights;
+}
+
+/**
+ * investCash(simState, amount)
+ * Moves `amount` of cash into the portfolio along the target allocation.
+ */
+export function investCash(simState, amount) {
+  const holdings = getHoldings(simState);
+  const weights = targetWeights(simState);
+  Object.keys(holdings).forEach((id) => {
+    holdings[id] += amount * (weights[id] || 0);
+  });
+  simState.cash -= amount;
+  syncInvestment(simState);
+}
+
+/**
+ * sellHoldings(simState, fraction)
+ * Sells the same fraction of every holding for cash.
+ */
+export function sellHoldings(simState, fraction) {
+  const holdings = getHoldings(simState);
+  const share = Math.max(0, Math.min(1, fraction));
+  Object.keys(holdings).forEach((id) => {
+    const sold = holdings[id] * share;
+    holdings[id] -= sold;
+    simState.cash += sold;
+  });
+  syncInvestment(simState);
+}
+
+/**
+ * rebalanceHoldings(simState, cost)
+ * Resets holdings to the target allocation, paying `cost` (a fraction) on the
+ * value traded.
+ */
+export function rebalanceHoldings(simState, cost = 0) {
+  const holdings = getHoldings(simState);
+  const total = portfolioValue(simState);
+  const weights = targetWeights(simState);
+  const traded = Object.keys(holdings).reduce(
+    (sum, id) => sum + Math.abs(total * weights[id] - holdings[id]),
+    0,
+  );
+  // each unit traded is counted twice (once sold, once bought)
+  const remaining = Math.max(0, total - (traded / 2) * cost);
+  Object.keys(holdings).forEach((id) => {
+    holdings[id] = remaining * weights[id];
+  });
+  syncInvestment(simState);
+}
+
+/**
+ * assetReturns(simState, portfolio, marketReturn, previousInflation, rng)
+ * Monthly return of every asset class. Always draws one normal (for gold) so
+ * runs stay on the same random numbers whatever is held.
+ */
+export function assetReturns(
+  simState,
+  portfolio,
+  marketReturn,
+  previousInflation,
+  rng,
+) {
+  const model = resolvePortfolio(portfolio);
+  const inflation = simState.inflation;
+  const z = rng.normal();
+  return {
+    savings: Math.max(
+      0,
+      model.savings.passThrough * inflation + model.savings.margin,
+    ),
+    equities: marketReturn,
+    bonds:
+      model.bonds.yield -
+      model.bonds.duration * (inflation - previousInflation),
+    inflationLinked: inflation + model.inflationLinked.realYield,
+    gold:
+      model.gold.mean +
+      model.gold.inflationBeta * inflation +
+      model.gold.volatility * z,
+  };
+}
+
+/**
+ * growPortfolio(simState, portfolio, marketReturn, previousInflation, rng)
+ * Marks every holding to market for the month (holdings never go below zero).
+ */
+export function growPortfolio(
+  simState,
+  portfolio,
+  marketReturn,
+  previousInflation,
+  rng,
+) {
+  const returns = assetReturns(
+    simState,
+    portfolio,
+    marketReturn,
+    previousInflation,
+    rng,
+  );
+  const holdings = getHoldings(simState);
+  Object.keys(holdings).forEach((id) => {
+    holdings[id] = Math.max(0, holdings[id] * (1 + (returns[id] || 0)));
+  });
+  syncInvestment(simState);
+}
@@ -0,0 +1,150 @@
+/*
+ Seedable pseudo-random number generation for the simulation engine.
+ - `createRng(seed)` returns a small, fast generator (mulberry32) so a run can be
+   replayed exactly from its seed.
+ - `deriveSeed(...parts)` mixes a seed with labels/indices to obtain independent
+   sub-streams (e.g. one stream per simulated month).
+ - `defaultRng` wraps `Math.random()` and is used when no generator is passed in.
+*/
+
+/**
+ * hashString(str)
+ * FNV-1a hash of a string to an unsigned 32-bit integer.
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * mix32(h)
+ * Final avalanche step (from MurmurHash3) so nearby inputs give unrelated outputs.
+ */
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * normalizeSeed(seed)
+ * Turns any seed value (number or string) into an unsigned 32-bit integer.
+ * Numeric strings such as "42" map to the same seed as the number 42.
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  const str = String(seed ?? "").trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  return hashString(str);
+}
+
+/**
+ * deriveSeed(seed, ...parts)
+ * Combines a base seed with extra labels or indices into a new seed. The same
+ * inputs always give the same output, e.g. deriveSeed(42, "economy", 3).
+ */
+export function deriveSeed(seed, ...parts) {
+  let h = mix32(normalizeSeed(seed) ^ 0x9e3779b9);
+  for (const part of parts) {
+    h = mix32(h ^ normalizeSeed(part));
+    h = (h + 0x9e3779b9) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * randomSeed()
+ * Returns a fresh (non-reproducible) 32-bit seed, e.g. for a "Random" button.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * withSamplers(next)
+ * Decorates a uniform generator `next()` in [0, 1) with the distribution helpers
+ * used by the engine.
+ */
+function withSamplers(next) {
+  const rng = {
+    next,
+    // unsigned 32-bit integer, handy for deriving child seeds
+    uint32: () => Math.floor(next() * 0x100000000) >>> 0,
+    /**
+     * normal(mean, std)
+     * Normally-distributed sample using the Box–Muller transform.
+     */
+    normal(mean = 0, std = 1) {
+      // 1 - next() is in (0, 1] so the log is always finite
+      const u1 = 1 - next();
+      const u2 = next();
+      // Box–Muller transform -> z0 is ~ N(0,1)
+      const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+      return z0 * std + mean;
+    },
+    /**
+     * gamma(shape)
+     * Gamma(shape, 1) sample (Marsaglia–Tsang), used for chi-square draws.
+     */
+    gamma(shape) {
+      if (shape < 1) {
+        // boost to shape + 1, then scale back down
+        return rng.gamma(shape + 1) * Math.pow(1 - next(), 1 / shape);
+      }
+      const d = shape - 1 / 3;
+      const c = 1 / Math.sqrt(9 * d);
+      for (;;) {
+        let x;
+        let v;
+        do {
+          x = rng.normal();
+          v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = 1 - next();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+          return d * v;
+        }
+      }
+    },
+    /**
+     * chiSquare(df)
+     * Chi-square sample with `df` degrees of freedom.
+     */
+    chiSquare: (df) => 2 * rng.gamma(df / 2),
+  };
+  return rng;
+}
+
+/**
+ * createRng(seed)
+ * Returns a deterministic generator seeded with `seed` (number or string).
+ * The generator exposes `next()`, `uint32()`, `normal(mean, std)`, `gamma(shape)`
+ * and `chiSquare(df)`.
+ */
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  // mulberry32: tiny 32-bit state generator with good statistical quality
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const rng = withSamplers(next);
+  rng.seed = normalizeSeed(seed);
+  return rng;
+}
+
+// Non-reproducible generator backed by Math.random (the historical behaviour)
+export const defaultRng = withSamplers(Math.random);
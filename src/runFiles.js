@@ -0,0 +1,185 @@
+/*
+ Export and import of simulation runs.
+ - `buildRunFile` wraps a run's `history` (snapshots with their `forecasts`) with
+   the metadata needed to reproduce or review it: seed, months, Monte Carlo runs,
+   model settings, action parameters and the initial state.
+ - `parseRunFile` validates such a JSON file and returns the same object.
+ - `historyToCSV` flattens the snapshots into one spreadsheet row per month.
+*/
+
+import { getActionLabel } from "./script.js";
+
+export const RUN_FILE_FORMAT = "life-under-inflation/run";
+export const RUN_FILE_VERSION = 1;
+
+/**
+ * buildRunFile({ history, seed, months, monteCarloRuns, settings, actionParams, initialState })
+ * Plain object ready for `JSON.stringify`, tagged with the format and version.
+ */
+export function buildRunFile({
+  history,
+  seed,
+  months,
+  monteCarloRuns,
+  settings = {},
+  actionParams = {},
+  initialState,
+}) {
+  return {
+    format: RUN_FILE_FORMAT,
+    version: RUN_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    seed,
+    months,
+    monteCarloRuns,
+    settings,
+    actionParams,
+    initialState,
+    history,
+  };
+}
+
+/**
+ * parseRunFile(text)
+ * Parses and checks an exported run. Throws an Error with a readable message
+ * when the text is not a run file or its history is malformed.
+ */
+export function parseRunFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not a JSON file: ${e.message}`);
+  }
+  if (!data || data.format !== RUN_FILE_FORMAT) {
+    throw new Error("Not a Life Under Inflation run file");
+  }
+  if (data.version > RUN_FILE_VERSION) {
+    throw new Error(
+      `Run file version ${data.version} is newer than supported (${RUN_FILE_VERSION})`,
+    );
+  }
+  const valid =
+    Array.isArray(data.history) &&
+    data.history.every(
+      (s) => s && Number.isFinite(s.month) && Number.isFinite(s.cash),
+    );
+  if (!valid) throw new Error("Run file has no valid month-by-month history");
+  return data;
+}
+
+// Fixed CSV columns: header and the value taken from a snapshot
+const CSV_COLUMNS = [
+  ["month", (s) => s.month],
+  ["action", (s) => s.action],
+  ["actionLabel", (s) => getActionLabel(s.action)],
+  ["cash", (s) => s.cash],
+  ["salary", (s) => s.salary],
+  ["income", (s) => s.income ?? s.salary],
+  ["grossPay", (s) => s.grossPay],
+  ["tax", (s) => s.tax],
+  ["netPay", (s) => s.netPay],
+  ["capitalGainsTax", (s) => s.capitalGainsTax],
+  ["expenses", (s) => s.expenses],
+  ["inflation", (s) => s.inflation],
+  ["regime", (s) => s.regime],
+  ["investment", (s) => s.investment],
+  ["netWorth", (s) => s.netWorth],
+  ["debt", (s) => s.debt],
+  ["credit", (s) => s.credit],
+  ["missedPayments", (s) => s.missedPayments],
+  ["happiness", (s) => s.happiness],
+  ["employed", (s) => s.employed],
+  ["resting", (s) => s.resting],
+  ["burnout", (s) => s.burnout],
+  ["events", (s) => (s.events || []).map((e) => e.label).join("; ")],
+  ["solvent", (s) => s.solvent],
+  // the forecast of the action that was taken
+  ["survivalProbability", (s) => chosenForecast(s)?.survivalProbability],
+  ["expectedCash", (s) => chosenForecast(s)?.expectedCash],
+  ["utility", (s) => chosenForecast(s)?.utility],
+];
+
+const chosenForecast = (snapshot) =>
+  (snapshot.forecasts || []).find((f) => f.action === snapshot.action);
+
+// keys of a nested per-month record (e.g. holdings) across all snapshots
+const nestedKeys = (history, field) => [
+  ...new Set(history.flatMap((s) => Object.keys(s[field] || {}))),
+];
+
+/**
+ * csvCell(value)
+ * Formats one CSV cell: empty for null/undefined, quoted when it contains a
+ * comma, quote or line break.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * csvRow(values)
+ * One CSV line (without the line break) from an array of cell values.
+ */
+export function csvRow(values) {
+  return values.map(csvCell).join(",");
+}
+
+/**
+ * historyTable(history, extraColumns)
+ * Header and rows for `historyToCSV`: `extraColumns` (`[name, value(snapshot)]`
+ * pairs, e.g. a run id) come first, then the fixed columns above, then one
+ * `expense.<id>` column per expense category and one `holding.<id>` column per
+ * asset class found in `history`.
+ */
+export function historyTable(history, extraColumns = []) {
+  const expenseIds = nestedKeys(history, "expenseBreakdown");
+  const assetIds = nestedKeys(history, "holdings");
+  const columns = [...extraColumns, ...CSV_COLUMNS];
+  const header = [
+    ...columns.map(([name]) => name),
+    ...expenseIds.map((id) => `expense.${id}`),
+    ...assetIds.map((id) => `holding.${id}`),
+  ];
+  const rows = history.map((s) => [
+    ...columns.map(([, value]) => value(s)),
+    ...expenseIds.map((id) => s.expenseBreakdown?.[id]),
+    ...assetIds.map((id) => s.holdings?.[id]),
+  ]);
+  return { header, rows };
+}
+
+/**
+ * historyToCSV(history)
+ * One row per month (see `historyTable`). The full per-action forecasts are only
+ * kept in the JSON export.
+ */
+export function historyToCSV(history) {
+  const { header, rows } = historyTable(history);
+  return [header, ...rows].map(csvRow).join("\n");
+}
+
+/**
+ * downloadBlob(filename, blob)
+ * Browser helper: saves `blob` as a file through a temporary object URL.
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * downloadText(filename, text, type)
+ * Saves a string (CSV, JSON, SVG markup, ...) with `downloadBlob`.
+ */
+export function downloadText(filename, text, type = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
@@ -0,0 +1,107 @@
+/*
+ Shareable scenario links.
+ A scenario is everything needed to reproduce a setup: the initial state, months,
+ Monte Carlo runs, animation speed, seed, model settings and action parameters.
+ It is stored in the URL hash as `#s=<base64url JSON>`. To keep links short only
+ the values that differ from a `base` scenario (the built-in defaults) are
+ written; decoding merges them back onto the same base.
+*/
+
+export const SCENARIO_VERSION = 1;
+const HASH_PREFIX = "#s=";
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// key listing the base keys a nested object no longer has (e.g. removed events)
+const DELETED = "$deleted";
+
+/**
+ * diffFrom(base, value)
+ * The parts of `value` that differ from `base`: nested objects are compared key
+ * by key (keys missing from `value` are listed under `$deleted`), anything else
+ * (numbers, strings, arrays) is kept whole when changed. Returns undefined when
+ * nothing differs.
+ */
+export function diffFrom(base, value) {
+  if (isPlainObject(base) && isPlainObject(value)) {
+    const diff = {};
+    Object.keys(value).forEach((k) => {
+      const d = diffFrom(base[k], value[k]);
+      if (d !== undefined) diff[k] = d;
+    });
+    const deleted = Object.keys(base).filter((k) => !(k in value));
+    if (deleted.length) diff[DELETED] = deleted;
+    return Object.keys(diff).length ? diff : undefined;
+  }
+  return JSON.stringify(base) === JSON.stringify(value) ? undefined : value;
+}
+
+/**
+ * mergeDeep(base, diff)
+ * Inverse of `diffFrom`: a copy of `base` with `diff` applied.
+ */
+export function mergeDeep(base, diff) {
+  if (diff === undefined) return JSON.parse(JSON.stringify(base ?? null));
+  if (!isPlainObject(base) || !isPlainObject(diff)) {
+    return JSON.parse(JSON.stringify(diff));
+  }
+  const { [DELETED]: deleted = [], ...changes } = diff;
+  const result = JSON.parse(JSON.stringify(base));
+  deleted.forEach((k) => delete result[k]);
+  Object.entries(changes).forEach(([k, v]) => {
+    result[k] = mergeDeep(base[k], v);
+  });
+  return result;
+}
+
+// UTF-8 safe base64url (no padding), so the hash needs no escaping
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (c) => c.charCodeAt(0)),
+  );
+}
+
+/**
+ * encodeScenario(scenario, base)
+ * URL hash (`#s=...`) for `{ state, months, runs, speedMs, seed, settings,
+ * actionParams }`, storing only what differs from `base`.
+ */
+export function encodeScenario(scenario, base) {
+  const diff = diffFrom(base, scenario) || {};
+  return (
+    HASH_PREFIX + toBase64Url(JSON.stringify({ v: SCENARIO_VERSION, ...diff }))
+  );
+}
+
+/**
+ * decodeScenario(hash, base)
+ * Full scenario from a URL hash made by `encodeScenario`, or null when the hash
+ * is empty, not a scenario or cannot be read.
+ */
+export function decodeScenario(hash, base) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  try {
+    const { v, ...diff } = JSON.parse(
+      fromBase64Url(hash.slice(HASH_PREFIX.length)),
+    );
+    if (v > SCENARIO_VERSION || !isPlainObject(diff)) return null;
+    return mergeDeep(base, diff);
+  } catch (e) {
+    console.warn("Failed to read scenario from URL", e);
+    return null;
+  }
+}
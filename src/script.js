@@ -4,15 +4,63 @@
  - Exports `runSimulation` which returns a month-by-month history array suitable for plotting.
 */
 
+import { createRng, defaultRng, deriveSeed, randomSeed } from "./rng.js";
+import { calculateUtility, happinessTerm, resolveUtility } from "./utility.js";
+import { getSeriesRates, nextSeriesInflation } from "./inflationSources.js";
+import { advanceEconomy } from "./economyModel.js";
+import { isEmployed, stepIncome } from "./income.js";
+import {
+  cutExpenses,
+  DEFAULT_EXPENSE_CATEGORIES,
+  inflateExpenses,
+  scaleExpenseCategories,
+  syncExpenses,
+} from "./expenses.js";
+import { repayDebt, serviceDebt, takeLoan, totalDebt } from "./debt.js";
+import {
+  DEFAULT_ALLOCATION,
+  getHoldings,
+  growPortfolio,
+  investCash,
+  portfolioValue,
+  rebalanceHoldings,
+  sellHoldings,
+} from "./portfolio.js";
+import { applyTax } from "./tax.js";
+import { isResting, stepWellbeing } from "./wellbeing.js";
+import { sampleLifeEvents } from "./lifeEvents.js";
+import {
+  histogram,
+  mean,
+  meanInterval,
+  percentiles,
+  proportionInterval,
+  studentTCdf,
+} from "./stats.js";
+
+// Utility models live in utility.js; re-exported for existing callers
+export {
+  calculateUtility,
+  DEFAULT_UTILITY,
+  UTILITY_MODELS,
+  UTILITY_PRESETS,
+} from "./utility.js";
+
 // Default initial state used when no `initialState` is provided to `runSimulation`.
 //
 // Lines/fields explained:
 // - cash: available liquid cash (currency units)
 // - salary: monthly income (currency units)
-// - expenses: monthly recurring expenses (currency units)
+// - expenses: monthly recurring expenses (currency units), the total of
+//   `expenseCategories` (see expenses.js)
 // - inflation: monthly inflation rate (e.g., 0.05 = 5%)
-// - investment: capital currently invested (currency units)
-// - happiness: optional emotional metric (arbitrary units, lower = less happy)
+// - investment: market value of the portfolio (currency units), the total of
+//   `portfolio` holdings once they exist (see portfolio.js)
+// - allocation: target weights per asset class for INVEST and REBALANCE
+// - happiness: well-being (arbitrary units, lower = less happy); low levels risk
+//   burnout (see wellbeing.js)
+// - credit / creditLimit: credit line balance and limit, loanLimit: cap on the
+//   total loan balance (see debt.js)
 //
 // You can modify these defaults at runtime using `setDefaultState`, or
 // retrieve a deep copy using `getDefaultState`. Use `resetDefaultState()`
@@ -23,12 +71,41 @@ export const DEFAULT_STATE = {
   expenses: 2500, // monthly expenses
   inflation: 0.05, // starting inflation rate (5%)
   investment: 0, // invested capital
-  happiness: 100, // optional emotional metric
+  happiness: 100, // well-being
+  credit: 0, // credit line balance
+  creditLimit: 5000, // credit line limit
+  loanLimit: 20000, // maximum total loan balance
+  allocation: { ...DEFAULT_ALLOCATION }, // target portfolio weights
+  // breakdown of expenses (copied so edits never touch the module default)
+  expenseCategories: JSON.parse(JSON.stringify(DEFAULT_EXPENSE_CATEGORIES)),
 };
 
 // Keep an immutable copy of the original defaults to support reset
 const ORIGINAL_DEFAULT_STATE = JSON.parse(JSON.stringify(DEFAULT_STATE));
 
+/**
+ * mergeState(state, updates)
+ * Merges `updates` into `state` (mutating it) the way the defaults editor does:
+ * a new `expenses` total without a breakdown rescales the expense categories,
+ * and the total always matches the categories afterwards. Returns `state`.
+ */
+export function mergeState(state, updates) {
+  if (!updates || typeof updates !== "object") return state;
+  Object.assign(state, updates);
+  // a new total without a breakdown rescales the current categories
+  if (
+    "expenses" in updates &&
+    !("expenseCategories" in updates) &&
+    state.expenseCategories
+  ) {
+    state.expenseCategories = scaleExpenseCategories(
+      state.expenseCategories,
+      updates.expenses,
+    );
+  }
+  return syncExpenses(state);
+}
+
 /**
  * setDefaultState(updates)
  * Merge provided `updates` into the `DEFAULT_STATE` object so new simulations
@@ -36,8 +113,7 @@ const ORIGINAL_DEFAULT_STATE = JSON.parse(JSON.stringify(DEFAULT_STATE));
  *   setDefaultState({ cash: 20000, inflation: 0.02 })
  */
 export function setDefaultState(updates) {
-  if (!updates || typeof updates !== "object") return;
-  Object.assign(DEFAULT_STATE, updates);
+  mergeState(DEFAULT_STATE, updates);
 }
 
 /**
@@ -72,211 +148,1135 @@ export const DEFAULT_STATE_INFO = {
   expenses: "Monthly recurring expenses (currency units)",
   inflation: "Monthly inflation rate (e.g., 0.05 = 5%)",
   investment: "Capital currently invested (currency units)",
-  happiness: "Optional emotional metric (arbitrary units)",
+  happiness: "Well-being (arbitrary units); burnout risk when low",
+  credit: "Credit line balance owed (currency units)",
+  creditLimit: "Credit line limit (currency units)",
+  loanLimit: "Maximum total loan balance (currency units)",
+  allocation: "Target weights per asset class (INVEST and REBALANCE)",
+  expenseCategories: "Breakdown of expenses by category",
 };
 
 /**
- * randomNormal
- * Returns a normally-distributed random number using the Box–Muller transform.
- * mean: average value, std: standard deviation
+ * isSolvent(simState)
+ * The survival test used everywhere in the engine: a household is solvent until
+ * it defaults on its debt or bills (see `serviceDebt` in debt.js).
+ */
+export function isSolvent(simState) {
+  return !simState.defaulted;
+}
+
+/**
+ * getMonthRng(seed, month, stream)
+ * Returns the generator for one simulated month of a seeded run. Each month (and
+ * each stream, e.g. "economy" vs "plan") gets its own sub-stream, so the economic
+ * draws of month N do not depend on how many samples the planner consumed before.
  */
-function randomNormal(mean = 0, std = 1) {
-  const u1 = Math.random();
-  const u2 = Math.random();
-  // Box–Muller transform -> z0 is ~ N(0,1)
-  const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-  return z0 * std + mean;
+export function getMonthRng(seed, month, stream = "economy") {
+  return createRng(deriveSeed(seed, stream, month));
 }
 
 /**
- * updateEconomy(simState)
+ * updateEconomy(simState, options)
  * Advances the economic state by one time-step (month):
- * - adds a small random drift to inflation (keeps it non-negative)
- * - grows expenses according to the inflation rate
- * - applies a volatile market return to invested capital
- * - applies net monthly cashflow (salary - expenses)
- */
-export function updateEconomy(simState) {
-  // small random shock to inflation
-  simState.inflation += randomNormal(0, 0.01);
-  // realistic floor for inflation
-  simState.inflation = Math.max(simState.inflation, 0);
-
-  // expenses scale with inflation
-  simState.expenses *= 1 + simState.inflation;
-
-  // investment return (volatile)
-  const marketReturn = randomNormal(0.05, 0.1);
-  simState.cash += simState.investment * marketReturn;
-
-  // monthly cash flow: salary minus (inflation-adjusted) expenses
-  simState.cash += simState.salary - simState.expenses;
+ * - moves inflation with the economic model in `options.economy` (by default a
+ *   small random drift kept non-negative, see `economyModel.js`), or takes the
+ *   next month of `options.inflationSource` when it is a historical series
+ * - grows expenses according to the inflation rate (per category, see
+ *   `expenses.js`)
+ * - marks the portfolio to market: equities earn the model's market return,
+ *   the other asset classes follow `options.portfolio` (see `portfolio.js`)
+ * - updates employment and wages with `options.income` (see `income.js`)
+ * - updates happiness with `options.wellbeing`: recovery, burnout and forced
+ *   rest at reduced pay (see `wellbeing.js`)
+ * - taxes income and portfolio gains with `options.tax` (see `tax.js`)
+ * - applies net monthly cashflow (income - taxes - expenses)
+ * - samples life events from `options.lifeEvents` (see `lifeEvents.js`)
+ * - services debt with `options.debt`, drawing on the credit line when cash
+ *   runs out and flagging `defaulted` after too many missed payments
+ * `options.rng` is the random generator to draw from (defaults to Math.random);
+ * `options.forecast` marks Monte Carlo forecast runs (see `inflationSources.js`).
+ */
+export function updateEconomy(simState, options = {}) {
+  const rng = options.rng || defaultRng;
+  const source = options.inflationSource;
+  const previousInflation = simState.inflation;
+
+  // historical inflation (if any), then regime, inflation and market return
+  const seriesInflation = getSeriesRates(source)
+    ? nextSeriesInflation(simState, source, rng, options.forecast)
+    : undefined;
+  const marketReturn = advanceEconomy(
+    simState,
+    options.economy,
+    rng,
+    seriesInflation,
+  );
+
+  // expenses scale with inflation (per category when broken down)
+  inflateExpenses(simState);
+
+  // mark the portfolio to market (equities earn the market return)
+  const valueBefore = portfolioValue(simState);
+  growPortfolio(
+    simState,
+    options.portfolio,
+    marketReturn,
+    previousInflation,
+    rng,
+  );
+  const capitalGain = portfolioValue(simState) - valueBefore;
+
+  // well-being: recovery, burnout and forced rest (which cuts this month's pay)
+  const payFactor = stepWellbeing(simState, options.wellbeing, rng);
+
+  // monthly cash flow: income (salary, benefit or gig) minus taxes and expenses
+  const income = stepIncome(simState, options.income, rng) * payFactor;
+  simState.income = income;
+  const taxes = applyTax(simState, options.tax, income, capitalGain);
+  simState.cash += income - taxes - simState.expenses;
+
+  // life events: one-off bills, windfalls, rent hikes, ...
+  sampleLifeEvents(simState, options.lifeEvents, rng);
+
+  // interest, debt payments and the default check
+  serviceDebt(simState, options.debt);
+}
+
+// Registered actions keyed by id (insertion order = display order)
+const ACTION_REGISTRY = new Map();
+
+/**
+ * ACTIONS
+ * Ids of all registered actions, in registration order. Kept up to date by
+ * `registerAction`; use `getActionCandidates` for the list the AI chooses from.
+ */
+export const ACTIONS = [];
+
+/**
+ * registerAction({ id, label, apply, params, isAvailable })
+ * Adds (or replaces) an action the AI can choose:
+ * - id: unique identifier, e.g. "INVEST"
+ * - label: display name, or `(params) => string` for parameterized variants
+ * - apply(simState, params): mutates the state when the action is taken
+ * - params: `{ name: { label, value, step } }`; a `value` array such as
+ *   `[0.1, 0.3, 0.5]` turns every entry into its own candidate ("INVEST 10%", ...)
+ * - isAvailable(simState, params): optional, return false to skip the candidate
+ */
+export function registerAction({ id, label, apply, params = {}, isAvailable }) {
+  if (!id || typeof apply !== "function") {
+    throw new Error("registerAction requires an id and an apply function");
+  }
+  const definition = {
+    id,
+    label: label || id,
+    apply,
+    params: JSON.parse(JSON.stringify(params)),
+    isAvailable,
+  };
+  // remember the registered values so `resetActionParams` can restore them
+  definition.originalParams = JSON.parse(JSON.stringify(definition.params));
+  if (!ACTION_REGISTRY.has(id)) ACTIONS.push(id);
+  ACTION_REGISTRY.set(id, definition);
+  return definition;
+}
+
+/**
+ * getActionDefinition(id)
+ * Returns the registered definition for `id` (or undefined).
+ */
+export function getActionDefinition(id) {
+  return ACTION_REGISTRY.get(id);
+}
+
+/**
+ * getActionParams()
+ * Returns a plain `{ actionId: { paramName: value } }` copy of the current
+ * parameter values, e.g. to persist them or send them to the worker.
+ */
+export function getActionParams() {
+  const result = {};
+  ACTION_REGISTRY.forEach((def, id) => {
+    result[id] = {};
+    Object.entries(def.params).forEach(([name, p]) => {
+      result[id][name] = JSON.parse(JSON.stringify(p.value));
+    });
+  });
+  return result;
+}
+
+/**
+ * setActionParams(updates)
+ * Merges `{ actionId: { paramName: value } }` into the registered parameters.
+ * Unknown actions or parameters are ignored.
+ */
+export function setActionParams(updates) {
+  if (!updates || typeof updates !== "object") return;
+  Object.entries(updates).forEach(([id, values]) => {
+    const def = ACTION_REGISTRY.get(id);
+    if (!def || !values) return;
+    Object.entries(values).forEach(([name, value]) => {
+      if (def.params[name]) def.params[name].value = value;
+    });
+  });
+}
+
+/**
+ * resetActionParams()
+ * Restores every action's parameters to the values it was registered with.
+ */
+export function resetActionParams() {
+  ACTION_REGISTRY.forEach((def) => {
+    def.params = JSON.parse(JSON.stringify(def.originalParams));
+  });
+}
+
+// Candidate keys look like "INVEST(fraction=0.1)"; plain ids use current values
+const CANDIDATE_KEY = /^(.*)\((.*)\)$/;
+
+function candidateKey(id, variant) {
+  const parts = Object.entries(variant).map(([k, v]) => `${k}=${v}`);
+  return parts.length ? `${id}(${parts.join(",")})` : id;
+}
+
+/**
+ * resolveAction(action)
+ * Turns an action id or candidate key into `{ id, params, definition }`, where
+ * `params` holds one concrete value per parameter (list values use the first entry
+ * unless the key pins one).
+ */
+export function resolveAction(action) {
+  let id = action;
+  const pinned = {};
+  const match = typeof action === "string" && action.match(CANDIDATE_KEY);
+  if (match && !ACTION_REGISTRY.has(action)) {
+    id = match[1];
+    match[2]
+      .split(",")
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [k, v] = pair.split("=");
+        pinned[k] = Number(v);
+      });
+  }
+  const definition = ACTION_REGISTRY.get(id);
+  const params = {};
+  if (definition) {
+    Object.entries(definition.params).forEach(([name, p]) => {
+      params[name] =
+        name in pinned
+          ? pinned[name]
+          : Array.isArray(p.value)
+            ? p.value[0]
+            : p.value;
+    });
+  }
+  return { id, params, definition };
+}
+
+/**
+ * getActionLabel(action)
+ * Display name for an action id or candidate key.
+ */
+export function getActionLabel(action) {
+  const { id, params, definition } = resolveAction(action);
+  if (!definition) return String(action);
+  if (typeof definition.label === "function") return definition.label(params);
+  const pinned = action !== id ? action.slice(id.length) : "";
+  return `${definition.label}${pinned ? " " + pinned : ""}`;
+}
+
+/**
+ * getActionCandidates(simState)
+ * Expands every registered action into concrete candidates (one per combination
+ * of list-valued parameters) and drops those whose `isAvailable` returns false.
+ * Returns `[{ key, id, params, label }]`; `key` is what `applyAction` accepts.
+ */
+export function getActionCandidates(simState) {
+  const candidates = [];
+  ACTION_REGISTRY.forEach((def, id) => {
+    // cartesian product over list-valued params only
+    let variants = [{}];
+    Object.entries(def.params).forEach(([name, p]) => {
+      if (!Array.isArray(p.value)) return;
+      variants = variants.flatMap((v) =>
+        p.value.map((value) => ({ ...v, [name]: value })),
+      );
+    });
+    variants.forEach((variant) => {
+      const key = candidateKey(id, variant);
+      const { params } = resolveAction(key);
+      if (def.isAvailable && simState && !def.isAvailable(simState, params)) {
+        return;
+      }
+      candidates.push({ key, id, params, label: getActionLabel(key) });
+    });
+  });
+  return candidates;
 }
 
 /**
  * applyAction(simState, action)
- * Mutates the simState according to the chosen action.
- * Actions are simple heuristics (intended to be small, interpretable changes):
- * - WORK_MORE: increase salary at the cost of some happiness
- * - CUT_EXPENSES: reduce expenses but reduce happiness
- * - INVEST: move a fraction of cash into investment
- * - UPS KILL: pay a one-time cost to boost future salary (keeps original naming)
- * - DO_NOTHING: no change
+ * Mutates the simState according to the chosen action id or candidate key by
+ * calling the registered `apply`. Unknown actions leave the state unchanged.
  */
 export function applyAction(simState, action) {
-  switch (action) {
-    case "WORK_MORE":
-      // earn more, feel a bit worse
-      simState.salary *= 1.1;
-      simState.happiness -= 5;
-      break;
+  const { params, definition } = resolveAction(action);
+  if (definition) definition.apply(simState, params);
+}
 
-    case "CUT_EXPENSES":
-      // reduce recurring expenses substantially but at an emotional cost
-      simState.expenses *= 0.85;
-      simState.happiness -= 10;
-      break;
+// Built-in actions: simple heuristics (intended to be small, interpretable changes)
+registerAction({
+  id: "WORK_MORE",
+  // earn more, feel a bit worse
+  apply(simState, p) {
+    simState.salary *= 1 + p.salaryIncrease;
+    simState.happiness -= p.happinessCost;
+  },
+  params: {
+    salaryIncrease: {
+      label: "Salary increase (fraction)",
+      value: 0.1,
+      step: 0.01,
+    },
+    happinessCost: { label: "Happiness cost", value: 5, step: 1 },
+  },
+  // no extra hours without a job or during a forced rest
+  isAvailable: (simState) => isEmployed(simState) && !isResting(simState),
+});
 
-    case "INVEST":
-      // invest 30% of available cash into the market
-      const investAmount = simState.cash * 0.3;
-      simState.cash -= investAmount;
-      simState.investment += investAmount;
-      break;
+registerAction({
+  id: "CUT_EXPENSES",
+  // reduce cuttable expenses substantially but at an emotional cost
+  apply(simState, p) {
+    cutExpenses(simState, p.cut);
+    // each recent cut makes the next one harder to bear
+    const recentCuts = simState.recentCuts || 0;
+    simState.happiness -= p.happinessCost * (1 + p.repeatPenalty * recentCuts);
+    simState.recentCuts = recentCuts + 1;
+  },
+  params: {
+    cut: { label: "Expense cut (fraction)", value: 0.15, step: 0.01 },
+    happinessCost: { label: "Happiness cost", value: 10, step: 1 },
+    repeatPenalty: {
+      label: "Extra cost per recent cut (fraction)",
+      value: 0.5,
+      step: 0.1,
+    },
+  },
+});
 
-    case "UPS KILL":
-      // pay a one-time upskilling cost to increase salary growth
-      simState.cash -= 1000;
-      simState.salary *= 1.2;
-      break;
+registerAction({
+  id: "INVEST",
+  label: (p) => `INVEST ${+(p.fraction * 100).toFixed(1)}%`,
+  // move a fraction of available cash into the portfolio (target allocation)
+  apply(simState, p) {
+    investCash(simState, simState.cash * p.fraction);
+  },
+  params: {
+    fraction: { label: "Share of cash invested", value: 0.3, step: 0.05 },
+  },
+  isAvailable: (simState) => simState.cash > 0,
+});
 
-    case "DO_NOTHING":
-      // intentionally empty
-      break;
-  }
+registerAction({
+  id: "SELL",
+  label: (p) => `SELL ${+(p.fraction * 100).toFixed(1)}%`,
+  // turn a share of every holding back into cash
+  apply(simState, p) {
+    sellHoldings(simState, p.fraction);
+  },
+  params: {
+    fraction: { label: "Share of portfolio sold", value: 0.25, step: 0.05 },
+  },
+  isAvailable: (simState) => portfolioValue(simState) > 0,
+});
+
+registerAction({
+  id: "REBALANCE",
+  // reset holdings to the target allocation
+  apply(simState, p) {
+    rebalanceHoldings(simState, p.cost);
+  },
+  params: {
+    cost: {
+      label: "Trading cost (fraction traded)",
+      value: 0.002,
+      step: 0.001,
+    },
+  },
+  isAvailable: (simState) => portfolioValue(simState) > 0,
+});
+
+registerAction({
+  id: "UPS KILL",
+  // pay a one-time upskilling cost to increase salary (keeps original naming)
+  apply(simState, p) {
+    simState.cash -= p.cost;
+    simState.salary *= 1 + p.salaryIncrease;
+  },
+  params: {
+    cost: { label: "One-time cost", value: 1000, step: 100 },
+    salaryIncrease: {
+      label: "Salary increase (fraction)",
+      value: 0.2,
+      step: 0.01,
+    },
+  },
+});
+
+registerAction({
+  id: "BORROW",
+  label: (p) => `BORROW ${p.amount}`,
+  // take an amortizing loan (rates follow inflation, see debt.js)
+  apply(simState, p) {
+    takeLoan(simState, p.amount, p.termMonths);
+  },
+  params: {
+    amount: { label: "Loan amount", value: 2000, step: 500 },
+    termMonths: { label: "Loan term (months)", value: 12, step: 1 },
+  },
+  isAvailable: (simState, p) =>
+    !simState.defaulted &&
+    (simState.loans || []).reduce((sum, l) => sum + l.balance, 0) + p.amount <=
+      (simState.loanLimit ?? Infinity),
+});
+
+registerAction({
+  id: "REPAY",
+  label: (p) => `REPAY ${p.amount}`,
+  // pay down debt early, credit line first
+  apply(simState, p) {
+    repayDebt(simState, p.amount);
+  },
+  params: {
+    amount: { label: "Repayment amount", value: 1000, step: 100 },
+  },
+  isAvailable: (simState) => simState.cash > 0 && totalDebt(simState) > 0,
+});
+
+registerAction({
+  id: "DO_NOTHING",
+  // intentionally empty
+  apply() {},
+});
+
+/**
+ * netWorth(simState)
+ * Mark-to-market net worth: cash plus portfolio value minus debt. Forecasts score
+ * this rather than cash, so investing or borrowing is not mistaken for a loss or
+ * a gain.
+ */
+export function netWorth(simState) {
+  return simState.cash + portfolioValue(simState) - totalDebt(simState);
+}
+
+/**
+ * describeForecast({ endingCash, ruinMonths }, FORECAST_MONTHS)
+ * Distribution of a forecast's runs, from the ending net worth of every run and
+ * the month each run went bankrupt (null for survivors):
+ * - survival: `{ p, se, ci }`, Wilson 95% interval
+ * - expectedCash: `{ mean, se, ci }` of ending net worth over surviving runs
+ * - meanCash: `{ mean, se, ci }` of ending net worth over all runs
+ * - endingCash: p5 / p10 / p25 / p50 / p75 / p90 / p95 over all runs (failed runs
+ *   included) and `cashHistogram` (`{ edges, counts }`) of the same values
+ * - monthsToRuin: `{ counts, survived, mean, p50 }`, where `counts[m - 1]` is the
+ *   number of runs that went bankrupt in month `m`; `mean` and `p50` are over
+ *   the failed runs (null when none failed)
+ */
+export function describeForecast({ endingCash, ruinMonths }, FORECAST_MONTHS) {
+  const runs = endingCash.length;
+  const failed = ruinMonths.filter((m) => m !== null);
+  const survivedCash = endingCash.filter((_, i) => ruinMonths[i] === null);
+  const counts = new Array(Math.max(1, FORECAST_MONTHS)).fill(0);
+  failed.forEach((m) => {
+    counts[Math.min(counts.length, Math.max(1, m)) - 1]++;
+  });
+  return {
+    runs,
+    survival: proportionInterval(runs - failed.length, runs),
+    expectedCash: meanInterval(survivedCash),
+    meanCash: meanInterval(endingCash),
+    endingCash: percentiles(endingCash, [5, 10, 25, 50, 75, 90, 95]),
+    cashHistogram: histogram(endingCash, 12),
+    monthsToRuin: {
+      counts,
+      survived: runs - failed.length,
+      mean: failed.length
+        ? failed.reduce((a, b) => a + b, 0) / failed.length
+        : null,
+      p50: failed.length ? percentiles(failed, [50]).p50 : null,
+    },
+  };
 }
 
 /**
- * forecastSurvival(currentState, action, MONTE_CARLO_RUNS, FORECAST_MONTHS)
- * Runs a Monte Carlo forecast to estimate the chance of "surviving" (cash > 0)
+ * forecastSurvival(currentState, action, MONTE_CARLO_RUNS, FORECAST_MONTHS, options)
+ * Runs a Monte Carlo forecast to estimate the chance of "surviving" (no default)
  * after applying `action` and simulating `FORECAST_MONTHS` months.
+ * Run `i` draws from its own generator derived from `options.seed` (or from a
+ * seed drawn from `options.rng`), so two actions forecast with the same seed are
+ * compared on the same economic paths.
  * Returns an object with:
- * - survivalProbability: fraction of runs where cash remained > 0
- * - expectedCash: average ending cash across surviving runs (or average over 1 to avoid divide-by-zero)
+ * - survivalProbability: fraction of runs that did not default (see `isSolvent`)
+ * - expectedCash: average ending net worth (`netWorth`) across surviving runs (or average over 1 to avoid divide-by-zero)
+ * - meanCash: average ending net worth across all runs (failed runs included)
+ * - expectedHappiness: average ending happiness across all runs
+ * - endingCash: ending net worth (`netWorth`) of every run, used by risk-aware utility models
+ * - distribution: only with `options.distribution`, see `describeForecast`
+ *   (months to bankruptcy, ending net-worth quantiles and confidence intervals)
  */
 export function forecastSurvival(
   currentState,
   action,
   MONTE_CARLO_RUNS = 100,
   FORECAST_MONTHS = 6,
+  options = {},
 ) {
-  let surviveCount = 0;
-  let totalCash = 0;
-
+  const baseSeed = options.seed ?? (options.rng || defaultRng).uint32();
+  const runs = [];
   for (let i = 0; i < MONTE_CARLO_RUNS; i++) {
-    // deep clone to avoid mutating the real state
-    let simState = JSON.parse(JSON.stringify(currentState));
+    runs.push(
+      forecastRun(currentState, action, FORECAST_MONTHS, {
+        ...options,
+        rng: createRng(deriveSeed(baseSeed, i)),
+      }),
+    );
+  }
+  return summarizeRuns(runs, FORECAST_MONTHS, options.distribution);
+}
 
-    // test taking the action immediately
-    applyAction(simState, action);
+/**
+ * forecastRun(currentState, action, FORECAST_MONTHS, options)
+ * One forecast run on the generator in `options.rng`: applies `action` and
+ * simulates up to `FORECAST_MONTHS` months, stopping at bankruptcy. Returns
+ * `{ survived, endingCash, happiness, ruinMonth }` (ending net worth; the month
+ * of bankruptcy or null).
+ */
+function forecastRun(currentState, action, FORECAST_MONTHS, options) {
+  // deep clone to avoid mutating the real state
+  const simState = JSON.parse(JSON.stringify(currentState));
+  const runOptions = { ...options, forecast: true };
 
-    // simulate forward for a short horizon and stop early if bankrupt
-    for (let m = 0; m < FORECAST_MONTHS; m++) {
-      updateEconomy(simState);
-      if (simState.cash <= 0) break;
+  // test taking the action immediately
+  applyAction(simState, action);
+
+  // simulate forward for a short horizon and stop early if bankrupt
+  let ruinMonth = null;
+  for (let m = 0; m < FORECAST_MONTHS; m++) {
+    updateEconomy(simState, runOptions);
+    if (!isSolvent(simState)) {
+      ruinMonth = m + 1;
+      break;
     }
+  }
 
-    if (simState.cash > 0) {
+  const survived = isSolvent(simState);
+  return {
+    survived,
+    // scored on net worth so borrowing does not look like wealth
+    endingCash: netWorth(simState),
+    happiness: simState.happiness,
+    ruinMonth: survived ? null : (ruinMonth ?? 0),
+  };
+}
+
+/**
+ * summarizeRuns(runs, FORECAST_MONTHS, distribution)
+ * Forecast result (see `forecastSurvival`) from `forecastRun` records.
+ */
+function summarizeRuns(runs, FORECAST_MONTHS, distribution) {
+  let surviveCount = 0;
+  let totalCash = 0;
+  let totalHappiness = 0;
+  const endingCash = [];
+  runs.forEach((run) => {
+    if (run.survived) {
       surviveCount++;
-      totalCash += simState.cash;
+      totalCash += run.endingCash;
     }
-  }
+    endingCash.push(run.endingCash);
+    totalHappiness += run.happiness;
+  });
 
   return {
-    survivalProbability: surviveCount / MONTE_CARLO_RUNS,
+    survivalProbability: surviveCount / (runs.length || 1),
     expectedCash: totalCash / (surviveCount || 1),
+    meanCash: endingCash.reduce((a, b) => a + b, 0) / (runs.length || 1),
+    expectedHappiness: totalHappiness / (runs.length || 1),
+    endingCash,
+    ...(distribution
+      ? {
+          distribution: describeForecast(
+            { endingCash, ruinMonths: runs.map((r) => r.ruinMonth) },
+            FORECAST_MONTHS,
+          ),
+        }
+      : {}),
   };
 }
 
 /**
- * calculateUtility(result)
- * Combines survival probability and expected cash into a single utility score.
- * Weights (w1,w2) reflect the relative importance of surviving vs. wealth.
+ * evaluateActions(currentState, monteCarloRuns, options)
+ * Forecasts every candidate from `getActionCandidates` and scores it with
+ * `calculateUtility` using the model in `options.utility` (`{ model, params }`,
+ * linear by default). Returns one `{ action, label, survivalProbability,
+ * expectedCash, utility }` entry per candidate (the "inner thinking" shown in the
+ * UI); `action` is the candidate key accepted by `applyAction`. All actions share one forecast
+ * seed (taken from `options.seed` or drawn from `options.rng`) so they are scored
+ * on common random numbers. `options.horizon` sets the forecast length in months
+ * (6 by default). `options.onProgress` is called after each action with
+ * `{ action, actionIndex, actionCount }`. Per-run `endingCash` samples are dropped
+ * from the result unless `options.keepSamples` is set. With `options.distribution`
+ * each entry also carries a `distribution` (see `describeForecast`).
  */
-export function calculateUtility(result) {
-  const w1 = 0.6; // prioritize survival
-  const w2 = 0.4; // secondary weight for expected wealth
-  return w1 * result.survivalProbability + w2 * (result.expectedCash / 10000);
+export function evaluateActions(
+  currentState,
+  monteCarloRuns = 100,
+  options = {},
+) {
+  const { onProgress, utility, keepSamples, horizon, ...forecastOptions } =
+    options;
+  const seed = options.seed ?? (options.rng || defaultRng).uint32();
+
+  const candidates = getActionCandidates(currentState);
+
+  return candidates.map(({ key: action, label }, actionIndex) => {
+    const forecast = forecastSurvival(
+      currentState,
+      action,
+      monteCarloRuns,
+      horizon,
+      { ...forecastOptions, seed },
+    );
+    if (onProgress) {
+      onProgress({ action, actionIndex, actionCount: candidates.length });
+    }
+    const score = calculateUtility(forecast, utility);
+    const { endingCash, ...summary } = forecast;
+    return {
+      action,
+      label,
+      ...(keepSamples ? forecast : summary),
+      utility: score,
+    };
+  });
 }
 
 /**
- * chooseBestAction(currentState, monteCarloRuns)
- * Tests each available action with a Monte Carlo forecast and selects the action
- * with the highest expected utility (using `calculateUtility`).
- */
-export const ACTIONS = [
-  "WORK_MORE",
-  "CUT_EXPENSES",
-  "INVEST",
-  "UPS KILL",
-  "DO_NOTHING",
-];
-
-export function chooseBestAction(currentState, monteCarloRuns = 100) {
-  const actions = ACTIONS;
-  let bestAction = null;
-  let bestScore = -Infinity;
-
-  for (let action of actions) {
-    const forecast = forecastSurvival(currentState, action, monteCarloRuns);
-    const utility = calculateUtility(forecast);
-    if (utility > bestScore) {
-      bestScore = utility;
-      bestAction = action;
+ * pickBestAction(evaluations)
+ * Returns the evaluation with the highest utility (the first one wins ties).
+ * Actions dropped from an adaptive race (`eliminated`) are not considered.
+ */
+export function pickBestAction(evaluations) {
+  let best = null;
+  for (const evaluation of evaluations) {
+    if (evaluation.eliminated) continue;
+    if (!best || evaluation.utility > best.utility) best = evaluation;
+  }
+  return best;
+}
+
+// Default settings of the lookahead planner (see `searchActionSequences`) and
+// the adaptive planner (see `raceActions`)
+export const DEFAULT_PLANNER = {
+  type: "greedy", // "greedy" (one-step), "adaptive" (raced) or "mcts" (sequence search)
+  depth: 3, // decisions searched per plan (months)
+  horizon: 6, // months simulated per rollout
+  budget: 0, // rollouts per decision; 0 = monteCarloRuns × candidates
+  exploration: 1, // UCB1 exploration constant
+  rolloutPolicy: "DO_NOTHING", // action after `depth`, or "random"
+  batch: 20, // adaptive: forecast runs per action and round
+  confidence: 0.95, // adaptive: drop an action once the leader is better at this level
+};
+
+/**
+ * plannerSettings(plannerOptions)
+ * `DEFAULT_PLANNER` overlaid with `plannerOptions`, where numeric settings that
+ * are not finite numbers (e.g. NaN from a cleared input) keep their default.
+ */
+export function plannerSettings(plannerOptions = {}) {
+  const planner = { ...DEFAULT_PLANNER, ...plannerOptions };
+  Object.keys(DEFAULT_PLANNER).forEach((key) => {
+    if (
+      typeof DEFAULT_PLANNER[key] === "number" &&
+      !Number.isFinite(planner[key])
+    ) {
+      planner[key] = DEFAULT_PLANNER[key];
+    }
+  });
+  return planner;
+}
+
+export const PLANNERS = {
+  greedy: "Greedy (one action, then no decisions)",
+  adaptive: "Adaptive greedy (races actions, stops early)",
+  mcts: "Lookahead (Monte Carlo tree search)",
+};
+
+// rounds every action gets before any can be dropped from the race
+const MIN_RACE_ROUNDS = 3;
+
+/**
+ * raceActions(currentState, monteCarloRuns, options)
+ * Adaptive version of `evaluateActions` (the "adaptive" planner). Instead of
+ * `monteCarloRuns` runs for every action, the candidates race in rounds of
+ * `planner.batch` forecast runs (at most a ninth of `monteCarloRuns`, so
+ * eliminations can start early). Run `i` uses the same seed for every action (and
+ * the same as in `forecastSurvival`), so rounds are paired across actions. After
+ * `MIN_RACE_ROUNDS` rounds, an action is dropped once the leader beats it at the
+ * `planner.confidence` level, judged by a one-sided Student t test on the paired
+ * differences of per-round utilities with a Holm correction across the actions
+ * still racing. The race stops when one action is left or when another round would
+ * give the survivors more than `monteCarloRuns` runs each, so runs freed by
+ * eliminations are saved rather than spent on the survivors.
+ * Entries are shaped like `evaluateActions` plus `runs` (forecast runs the action
+ * received), `eliminated` and `confidence`: for the pick, the lowest probability
+ * that it beats any other action; for the others, the probability that the pick
+ * beats them.
+ */
+export function raceActions(currentState, monteCarloRuns = 100, options = {}) {
+  const {
+    onProgress,
+    utility,
+    keepSamples,
+    horizon = 6, // forecastSurvival's default
+    planner: plannerOptions,
+    ...forecastOptions
+  } = options;
+  const planner = plannerSettings(plannerOptions);
+  const seed = options.seed ?? (options.rng || defaultRng).uint32();
+  const candidates = getActionCandidates(currentState);
+  const budget = monteCarloRuns * candidates.length;
+  // small enough that the minimum rounds use at most a third of each action's runs
+  const batch = Math.max(
+    1,
+    Math.min(
+      Math.floor(planner.batch) || DEFAULT_PLANNER.batch,
+      Math.floor(monteCarloRuns / (MIN_RACE_ROUNDS * 3)),
+    ),
+  );
+  // error rate of one round's eliminations, shared across its comparisons (Holm)
+  const alpha = 1 - Math.min(0.9999, Math.max(0.5, planner.confidence));
+
+  const runs = new Map(candidates.map((c) => [c.key, []]));
+  const roundUtility = new Map(candidates.map((c) => [c.key, []]));
+  // mean and standard error of the per-round utility of `a` minus that of `b`
+  const pairedGap = (a, b) => {
+    const ua = roundUtility.get(a);
+    const ub = roundUtility.get(b);
+    const n = Math.min(ua.length, ub.length);
+    return { ...meanInterval(ua.slice(0, n).map((u, k) => u - ub[k])), n };
+  };
+  // one-sided p-value of "`b` is as good as `a`" (Student t on the paired rounds)
+  const pValue = (a, b) => {
+    const gap = pairedGap(a, b);
+    if (gap.se > 0) return 1 - studentTCdf(gap.mean / gap.se, gap.n - 1);
+    // identical outcomes (no spread) cannot be told apart: the leader stays
+    return gap.mean < 0 ? 1 : 0;
+  };
+
+  let active = candidates.map((c) => c.key);
+  let spent = 0;
+  let round = 0;
+  // a lone candidate still gets one round, so its forecast is not empty
+  while (
+    (active.length > 1 || round === 0) &&
+    (round + 1) * batch <= monteCarloRuns
+  ) {
+    const first = round * batch;
+    active.forEach((action) => {
+      const chunk = [];
+      for (let i = first; i < first + batch; i++) {
+        chunk.push(
+          forecastRun(currentState, action, horizon, {
+            ...forecastOptions,
+            rng: createRng(deriveSeed(seed, i)),
+          }),
+        );
+      }
+      runs.get(action).push(...chunk);
+      roundUtility
+        .get(action)
+        .push(calculateUtility(summarizeRuns(chunk, horizon), utility));
+      spent += batch;
+    });
+    round++;
+    if (onProgress) {
+      onProgress({
+        action: "race",
+        label: `round ${round}, ${active.length} actions left`,
+        actionIndex: Math.min(9, Math.ceil((spent / budget) * 10) - 1),
+        actionCount: 10,
+      });
     }
+    if (round < MIN_RACE_ROUNDS) continue;
+
+    const leader = active.reduce((best, a) =>
+      mean(roundUtility.get(a)) > mean(roundUtility.get(best)) ? a : best,
+    );
+    // Holm step-down: the k-th smallest of m p-values must be below alpha / (m - k)
+    const rivals = active
+      .filter((a) => a !== leader)
+      .map((a) => ({ action: a, p: pValue(leader, a) }))
+      .sort((x, y) => x.p - y.p);
+    const dropped = new Set();
+    for (let k = 0; k < rivals.length; k++) {
+      if (rivals[k].p > alpha / (rivals.length - k)) break;
+      dropped.add(rivals[k].action);
+    }
+    active = active.filter((a) => !dropped.has(a));
   }
 
-  return bestAction;
+  const evaluations = candidates.map(({ key: action, label }) => {
+    const forecast = summarizeRuns(
+      runs.get(action),
+      horizon,
+      options.distribution,
+    );
+    const score = calculateUtility(forecast, utility);
+    const { endingCash, ...summary } = forecast;
+    return {
+      action,
+      label,
+      ...(keepSamples ? forecast : summary),
+      utility: score,
+      runs: runs.get(action).length,
+      eliminated: !active.includes(action),
+    };
+  });
+
+  // probability that `a` has the higher utility than `b` (normal approximation)
+  const beats = (a, b) => {
+    const gap = pairedGap(a, b);
+    if (gap.se > 0) return studentTCdf(gap.mean / gap.se, gap.n - 1);
+    return gap.mean > 0 ? 1 : 0.5;
+  };
+  const best = pickBestAction(evaluations);
+  evaluations.forEach((e) => {
+    e.confidence =
+      e === best
+        ? Math.min(
+            1,
+            ...evaluations
+              .filter((o) => o !== best)
+              .map((o) => beats(best.action, o.action)),
+          )
+        : beats(best.action, e.action);
+  });
+  return evaluations;
 }
 
 /**
- * runSimulation({ months, monteCarloRuns, initialState })
+ * searchActionSequences(currentState, monteCarloRuns, options)
+ * Open-loop Monte Carlo tree search over sequences of up to `planner.depth`
+ * monthly decisions. Each rollout draws a fresh economic path, walks the tree with
+ * UCB1 (trying every available action once before exploiting), then follows
+ * `planner.rolloutPolicy` until `planner.horizon` months have passed.
+ * Returns evaluations shaped like `evaluateActions` (one per first action) plus
+ * `visits` and `plan`, the most visited continuation. Root actions are scored with
+ * `calculateUtility` over their rollouts, so risk-aware models still apply.
+ * `options.distribution` adds a `distribution` per first action, as in
+ * `evaluateActions`.
+ */
+export function searchActionSequences(
+  currentState,
+  monteCarloRuns = 100,
+  options = {},
+) {
+  const { onProgress, utility, keepSamples, planner: plannerOptions } = options;
+  const planner = plannerSettings(plannerOptions);
+  const seed = options.seed ?? (options.rng || defaultRng).uint32();
+  const rootCandidates = getActionCandidates(currentState);
+  const budget =
+    planner.budget > 0
+      ? planner.budget
+      : monteCarloRuns * rootCandidates.length;
+  const horizon = Math.max(1, planner.horizon || DEFAULT_PLANNER.horizon);
+  const depth = Math.max(1, Math.min(planner.depth || 1, horizon));
+  // per-rollout reward for the tree statistics (linear in survival, net worth
+  // and happiness)
+  const { params } = resolveUtility(utility);
+
+  const newNode = () => ({ visits: 0, total: 0, children: new Map() });
+  const root = newNode();
+  // outcome samples of each first action, used for the final utility scores
+  const outcomes = new Map(
+    rootCandidates.map((c) => [
+      c.key,
+      {
+        endingCash: [],
+        ruinMonths: [],
+        survived: 0,
+        survivedCash: 0,
+        happiness: 0,
+      },
+    ]),
+  );
+  const progressEvery = Math.max(1, Math.floor(budget / 10));
+
+  for (let i = 0; i < budget; i++) {
+    const rng = createRng(deriveSeed(seed, i));
+    const runOptions = { ...options, rng, forecast: true };
+    const simState = JSON.parse(JSON.stringify(currentState));
+    const path = [root];
+    let node = root;
+    let firstAction = null;
+    let month = 0;
+
+    // selection / expansion through the decision months of the tree
+    for (; month < depth && isSolvent(simState); month++) {
+      const candidates =
+        month === 0 ? rootCandidates : getActionCandidates(simState);
+      const untried = candidates.find((c) => !node.children.has(c.key));
+      let key;
+      if (untried) {
+        key = untried.key;
+        node.children.set(key, newNode());
+      } else {
+        let bestScore = -Infinity;
+        candidates.forEach((c) => {
+          const child = node.children.get(c.key);
+          const score =
+            child.total / child.visits +
+            planner.exploration *
+              Math.sqrt(Math.log(node.visits + 1) / child.visits);
+          if (score > bestScore) {
+            bestScore = score;
+            key = c.key;
+          }
+        });
+      }
+      if (month === 0) firstAction = key;
+      node = node.children.get(key);
+      path.push(node);
+      applyAction(simState, key);
+      updateEconomy(simState, runOptions);
+      if (untried) {
+        month++;
+        break;
+      }
+    }
+
+    // rollout with the default policy until the horizon
+    for (; month < horizon && isSolvent(simState); month++) {
+      if (planner.rolloutPolicy === "random") {
+        const candidates = getActionCandidates(simState);
+        const pick = candidates[Math.floor(rng.next() * candidates.length)];
+        if (pick) applyAction(simState, pick.key);
+      } else {
+        applyAction(simState, planner.rolloutPolicy);
+      }
+      updateEconomy(simState, runOptions);
+    }
+
+    const survived = isSolvent(simState);
+    const reward =
+      params.survivalWeight * (survived ? 1 : 0) +
+      params.wealthWeight * (Math.max(netWorth(simState), 0) / params.scale) +
+      happinessTerm(simState.happiness, params);
+    path.forEach((n) => {
+      n.visits++;
+      n.total += reward;
+    });
+
+    const outcome = outcomes.get(firstAction);
+    outcome.endingCash.push(netWorth(simState));
+    // both loops stop in the month the run went bankrupt
+    outcome.ruinMonths.push(survived ? null : month);
+    outcome.happiness += simState.happiness;
+    if (survived) {
+      outcome.survived++;
+      outcome.survivedCash += netWorth(simState);
+    }
+
+    if (onProgress && (i + 1) % progressEvery === 0) {
+      onProgress({
+        action: "search",
+        label: `rollout ${i + 1} of ${budget}`,
+        actionIndex: Math.min(9, Math.floor((i + 1) / progressEvery) - 1),
+        actionCount: 10,
+      });
+    }
+  }
+
+  // follow the most visited children to describe the planned sequence
+  const planFrom = (node) => {
+    const plan = [];
+    while (node && node.children.size) {
+      let best = null;
+      node.children.forEach((child, key) => {
+        if (!best || child.visits > best.child.visits) best = { key, child };
+      });
+      plan.push(best.key);
+      node = best.child;
+    }
+    return plan;
+  };
+
+  return rootCandidates.map(({ key: action, label }) => {
+    const { endingCash, ruinMonths, survived, survivedCash, happiness } =
+      outcomes.get(action);
+    const n = endingCash.length || 1;
+    const forecast = {
+      survivalProbability: survived / n,
+      expectedCash: survivedCash / (survived || 1),
+      meanCash: endingCash.reduce((a, b) => a + b, 0) / n,
+      expectedHappiness: happiness / n,
+      endingCash,
+      ...(options.distribution
+        ? {
+            distribution: describeForecast({ endingCash, ruinMonths }, horizon),
+          }
+        : {}),
+    };
+    const score = calculateUtility(forecast, utility);
+    const { endingCash: samples, ...summary } = forecast;
+    const child = root.children.get(action);
+    return {
+      action,
+      label,
+      ...(keepSamples ? forecast : summary),
+      utility: score,
+      visits: child ? child.visits : 0,
+      plan: child ? [action, ...planFrom(child)] : [action],
+    };
+  });
+}
+
+/**
+ * planActions(currentState, monteCarloRuns, options)
+ * Scores the candidate actions with the planner selected by `options.planner`
+ * (`evaluateActions` for "greedy", `raceActions` for "adaptive",
+ * `searchActionSequences` for "mcts").
+ */
+export function planActions(currentState, monteCarloRuns = 100, options = {}) {
+  const type = (options.planner && options.planner.type) || "greedy";
+  if (type === "mcts") {
+    return searchActionSequences(currentState, monteCarloRuns, options);
+  }
+  if (type === "adaptive") {
+    return raceActions(currentState, monteCarloRuns, options);
+  }
+  return evaluateActions(currentState, monteCarloRuns, options);
+}
+
+/**
+ * chooseBestAction(currentState, monteCarloRuns, options)
+ * Tests each available action with a Monte Carlo forecast and selects the action
+ * with the highest expected utility (using `planActions`, so `options.planner`
+ * switches between the greedy and lookahead planners).
+ */
+export function chooseBestAction(
+  currentState,
+  monteCarloRuns = 100,
+  options = {},
+) {
+  const best = pickBestAction(
+    planActions(currentState, monteCarloRuns, options),
+  );
+  return best ? best.action : null;
+}
+
+// category amounts of a state (null without categories)
+const expenseBreakdown = (state) =>
+  state.expenseCategories
+    ? Object.fromEntries(
+        Object.entries(state.expenseCategories).map(([id, c]) => [
+          id,
+          c.amount,
+        ]),
+      )
+    : null;
+
+/**
+ * snapshotState(state, month, action)
+ * Builds the month-by-month history record used by the chart and tables.
+ */
+export function snapshotState(state, month, action) {
+  return {
+    month,
+    action,
+    cash: state.cash,
+    salary: state.salary,
+    expenses: state.expenses,
+    expenseBreakdown: expenseBreakdown(state),
+    inflation: state.inflation,
+    investment: state.investment,
+    holdings: { ...getHoldings({ ...state }) },
+    netWorth: netWorth(state),
+    happiness: state.happiness,
+    resting: (state.payFactor ?? 1) < 1,
+    burnout: state.burnout || null,
+    events: state.events || [],
+    regime: state.regime || "calm",
+    employed: isEmployed(state),
+    debt: totalDebt(state),
+    credit: state.credit || 0,
+    missedPayments: state.missedPayments || 0,
+    income: state.income ?? state.salary,
+    grossPay: state.grossPay ?? state.income ?? state.salary,
+    tax: state.tax || 0,
+    netPay: state.netPay ?? state.income ?? state.salary,
+    capitalGainsTax: state.capitalGainsTax || 0,
+    solvent: isSolvent(state),
+  };
+}
+
+/**
+ * runSimulation({ months, monteCarloRuns, initialState, seed, onProgress, ...options })
  * Runs the full simulation for `months` steps, choosing an action each month via
- * `chooseBestAction`, applying that action, then updating the economy. Returns an
- * array of monthly snapshots suitable for visualization (month number, action, cash, etc.).
+ * `planActions`, applying the best one, then updating the economy. Any further
+ * engine options (`utility`, `planner`, ...) are passed to both. Returns an
+ * array of monthly snapshots suitable for visualization (month number, action,
+ * cash, etc., plus the per-action `forecasts` that were considered).
+ * Passing the same `seed` replays exactly the same run; without one a random seed is used.
+ * A `policy(state, month)` function returning an action key replaces the planner
+ * (no forecasts are run); the economy still draws from the same seeded streams.
+ * `onProgress` receives `{ month, months, action, actionIndex, actionCount }`.
  */
 export default function runSimulation({
   months = 24,
   monteCarloRuns = 100,
   initialState,
+  seed = randomSeed(),
+  onProgress,
+  policy,
+  ...options
 } = {}) {
   const MONTHS_TO_SIMULATE = months;
   // clone initial state so we don't mutate inputs
-  const state = JSON.parse(JSON.stringify(initialState || DEFAULT_STATE));
+  const state = syncExpenses(
+    JSON.parse(JSON.stringify(initialState || DEFAULT_STATE)),
+  );
   const history = [];
 
   for (let month = 1; month <= MONTHS_TO_SIMULATE; month++) {
-    // decide an action based on a short Monte Carlo forecast
-    const bestAction = chooseBestAction(state, monteCarloRuns);
+    // decide an action: a fixed policy, or a short Monte Carlo forecast
+    let forecasts = [];
+    let bestAction;
+    if (policy) {
+      bestAction = policy(state, month);
+      if (onProgress) onProgress({ month, months: MONTHS_TO_SIMULATE });
+    } else {
+      forecasts = planActions(state, monteCarloRuns, {
+        ...options,
+        rng: getMonthRng(seed, month, "plan"),
+        onProgress:
+          onProgress &&
+          ((p) => onProgress({ month, months: MONTHS_TO_SIMULATE, ...p })),
+      });
+      bestAction = pickBestAction(forecasts).action;
+    }
 
     // apply the chosen action and advance the economy one month
     applyAction(state, bestAction);
-    updateEconomy(state);
+    updateEconomy(state, { ...options, rng: getMonthRng(seed, month) });
 
     // record snapshot for visualization
-    history.push({
-      month,
-      action: bestAction,
-      cash: state.cash,
-      salary: state.salary,
-      expenses: state.expenses,
-      inflation: state.inflation,
-      investment: state.investment,
-      happiness: state.happiness,
-    });
+    history.push({ ...snapshotState(state, month, bestAction), forecasts });
 
     // stop early if bankrupt
-    if (state.cash <= 0) break;
+    if (!isSolvent(state)) break;
   }
 
   return history;
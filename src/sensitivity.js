@@ -0,0 +1,148 @@
+/*
+ One-at-a-time sensitivity analysis over the initial state.
+ Each numeric field is moved down and up by `delta` (a fraction of its value)
+ while everything else stays at the baseline. Every variant is simulated with
+ `runSimulation` on the same list of path seeds as the baseline (common random
+ numbers), so the differences come from the changed field alone. The results feed
+ the tornado chart: fields ranked by how far their low and high values move
+ survival or median ending cash.
+*/
+
+import runSimulation, {
+  DEFAULT_STATE,
+  DEFAULT_STATE_INFO,
+  mergeState,
+} from "./script.js";
+import { deriveSeed, randomSeed } from "./rng.js";
+import { percentiles } from "./stats.js";
+
+// How each run decides: the AI planner, or no action at all (much faster)
+export const SENSITIVITY_METHODS = {
+  policy: "Full policy (the AI decides every month)",
+  passive: "Passive (DO_NOTHING every month, no forecasts)",
+};
+
+// Fields analysed unless a list is given
+export const DEFAULT_SENSITIVITY_FIELDS = [
+  "cash",
+  "salary",
+  "expenses",
+  "inflation",
+];
+
+/**
+ * sensitivityFields(state)
+ * The numeric fields of `state` that can be perturbed.
+ */
+export function sensitivityFields(state = DEFAULT_STATE) {
+  return Object.keys(state).filter((k) => typeof state[k] === "number");
+}
+
+/**
+ * fieldLabel(key)
+ * Short label from `DEFAULT_STATE_INFO` ("Available liquid cash (currency
+ * units)" -> "Available liquid cash"), or the key itself.
+ */
+export function fieldLabel(key) {
+  const info = DEFAULT_STATE_INFO[key];
+  return info ? info.split(/ \(|;/)[0] : key;
+}
+
+/**
+ * evaluateState(initialState, pathSeeds, options)
+ * Survival rate and median ending cash of `runSimulation` over the given paths.
+ */
+function evaluateState(initialState, pathSeeds, { onRun, ...options }) {
+  const outcomes = pathSeeds.map((seed, path) => {
+    const history = runSimulation({
+      ...options,
+      initialState,
+      seed,
+      onProgress: onRun && ((p) => onRun(path, p)),
+    });
+    return history[history.length - 1];
+  });
+  const survivors = outcomes.filter(
+    (s) => s && s.solvent && s.month >= options.months,
+  );
+  return {
+    survivalRate: survivors.length / (outcomes.length || 1),
+    medianEndingCash: percentiles(
+      outcomes.filter(Boolean).map((s) => s.cash),
+      [50],
+    ).p50,
+  };
+}
+
+/**
+ * runSensitivity({ fields, delta, paths, months, method, initialState, seed, onProgress, ...options })
+ * Perturbs each field in `fields` by -`delta` and +`delta` (fractions, e.g. 0.2 for
+ * ±20%) and simulates `paths` runs per variant. Path `i` uses
+ * `deriveSeed(seed, "path", i)` for the baseline and every variant. `method` is
+ * "policy" (full runs with the planner) or "passive" (DO_NOTHING throughout).
+ * Other options (`monteCarloRuns`, `utility`, `economy`, ...) go to
+ * `runSimulation`. Returns `{ seed, paths, months, delta, method, baseline,
+ * fields: [{ key, label, base, low, high, swing }] }` where `low` / `high` are
+ * `{ value, survivalRate, medianEndingCash }` and `swing` holds the absolute
+ * difference between them for both metrics. Fields with a zero base value cannot
+ * be perturbed by a percentage and are returned with `skipped: true`.
+ */
+export function runSensitivity({
+  fields = DEFAULT_SENSITIVITY_FIELDS,
+  delta = 0.2,
+  paths = 20,
+  months = 24,
+  method = "passive",
+  initialState,
+  seed = randomSeed(),
+  onProgress,
+  ...options
+} = {}) {
+  const base = JSON.parse(JSON.stringify(initialState || DEFAULT_STATE));
+  const pathSeeds = Array.from({ length: paths }, (_, i) =>
+    deriveSeed(seed, "path", i),
+  );
+  const keys = fields.filter((k) => typeof base[k] === "number");
+  const active = keys.filter((k) => base[k] !== 0);
+  // baseline plus two variants per field
+  const runs = (1 + active.length * 2) * paths;
+  let variant = 0;
+
+  const evaluate = (state) => {
+    const offset = variant++ * paths;
+    return evaluateState(state, pathSeeds, {
+      ...options,
+      months,
+      ...(method === "passive" ? { policy: () => "DO_NOTHING" } : {}),
+      onRun:
+        onProgress &&
+        ((path, p) => onProgress({ run: offset + path, runs, ...p })),
+    });
+  };
+
+  const baseline = evaluate(base);
+  const results = keys.map((key) => {
+    const entry = { key, label: fieldLabel(key), base: base[key] };
+    if (base[key] === 0) return { ...entry, skipped: true };
+    const [low, high] = [-delta, delta].map((d) => {
+      const value = base[key] * (1 + d);
+      const state = mergeState(JSON.parse(JSON.stringify(base)), {
+        [key]: value,
+      });
+      return { value, ...evaluate(state) };
+    });
+    return {
+      ...entry,
+      low,
+      high,
+      swing: {
+        survivalRate: Math.abs(high.survivalRate - low.survivalRate),
+        medianEndingCash: Math.abs(
+          high.medianEndingCash - low.medianEndingCash,
+        ),
+      },
+    };
+  });
+
+  return { seed, paths, months, delta, method, baseline, fields: results };
+}
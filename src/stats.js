@@ -0,0 +1,247 @@
+/*
+ Small statistics helpers shared by the utility models and the analysis tools.
+ All functions take plain arrays of numbers and never mutate them.
+*/
+
+/**
+ * mean(values) / stdev(values)
+ * Plain sample statistics (population stdev).
+ */
+export function mean(values) {
+  if (!values.length) return 0;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+export function stdev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) * (v - m))));
+}
+
+/**
+ * quantile(sorted, q)
+ * Linearly interpolated quantile (0 <= q <= 1) of an ascending array.
+ */
+export function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * percentiles(values, levels)
+ * Returns `{ p5: ..., p50: ... }` for the given percentile levels.
+ */
+export function percentiles(values, levels = [5, 25, 50, 75, 95]) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+  levels.forEach((level) => {
+    result[`p${level}`] = quantile(sorted, level / 100);
+  });
+  return result;
+}
+
+/**
+ * tailMean(values, alpha)
+ * Average of the worst `alpha` share of values (CVaR / expected shortfall).
+ */
+export function tailMean(values, alpha) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = Math.max(1, Math.ceil(sorted.length * alpha));
+  return mean(sorted.slice(0, count));
+}
+
+// z value of a two-sided 95% normal interval
+export const Z_95 = 1.959964;
+
+/**
+ * meanInterval(values, z)
+ * Mean with its standard error and normal confidence interval
+ * `{ mean, se, ci: [low, high] }` (95% by default).
+ */
+export function meanInterval(values, z = Z_95) {
+  const m = mean(values);
+  // sample stdev (n - 1) for the standard error
+  const se =
+    values.length > 1
+      ? (stdev(values) * Math.sqrt(values.length / (values.length - 1))) /
+        Math.sqrt(values.length)
+      : 0;
+  return { mean: m, se, ci: [m - z * se, m + z * se] };
+}
+
+/**
+ * proportionInterval(successes, n, z)
+ * Share `p = successes / n` with its standard error and Wilson score interval
+ * `{ p, se, ci: [low, high] }`, which stays inside [0, 1] and does not collapse
+ * to a point at 0% or 100%.
+ */
+export function proportionInterval(successes, n, z = Z_95) {
+  if (!n) return { p: 0, se: 0, ci: [0, 1] };
+  const p = successes / n;
+  const z2 = z * z;
+  const centre = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half =
+    (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+  return {
+    p,
+    se: Math.sqrt((p * (1 - p)) / n),
+    ci: [Math.max(0, centre - half), Math.min(1, centre + half)],
+  };
+}
+
+/**
+ * histogram(values, bins)
+ * Counts of `values` in `bins` equal-width bins between their min and max.
+ * Returns `{ edges, counts }` with `edges.length === counts.length + 1`.
+ */
+export function histogram(values, bins = 12) {
+  if (!values.length) return { edges: [], counts: [] };
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  const width = (max - min) / bins;
+  const edges = Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+  const counts = new Array(bins).fill(0);
+  values.forEach((v) => {
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  });
+  return { edges, counts };
+}
+
+/**
+ * normalCdf(x)
+ * Standard normal distribution function (Abramowitz & Stegun 7.1.26, error
+ * below 1e-7).
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp((-x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * normalQuantile(p)
+ * Inverse of `normalCdf` for 0 < p < 1 (Acklam's rational approximation).
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [
+    -39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269,
+    -30.66479806614716, 2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416,
+  ];
+  const tail = (q) =>
+    (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+      q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+}
+
+// log of the gamma function (Lanczos approximation, x > 0)
+function logGamma(x) {
+  const g = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  g.forEach((c, k) => {
+    series += c / (x + 1 + k);
+  });
+  const t = x + 5.5;
+  return (
+    (x + 0.5) * Math.log(t) - t + Math.log((2.5066282746310005 * series) / x)
+  );
+}
+
+// regularized incomplete beta function I_x(a, b) (continued fraction)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let f = d;
+  for (let m = 1; m <= 200; m++) {
+    for (const num of [
+      (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+      -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + num * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + num / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      f *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-12) break;
+  }
+  return (front * f) / a;
+}
+
+/**
+ * studentTCdf(t, df)
+ * Distribution function of Student's t with `df` degrees of freedom.
+ */
+export function studentTCdf(t, df) {
+  const tail = incompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * studentTQuantile(p, df)
+ * Inverse of `studentTCdf` for 0 < p < 1 (bisection).
+ */
+export function studentTQuantile(p, df) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < 0.5) return -studentTQuantile(1 - p, df);
+  let lo = 0;
+  let hi = 1;
+  while (studentTCdf(hi, df) < p) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCdf(mid, df) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
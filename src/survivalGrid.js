@@ -0,0 +1,176 @@
+/*
+ Survival probability over a grid of two initial-state fields (heatmap data).
+ - Every cell starts from the baseline state with the two fields set to the cell's
+   values and is scored by its survival probability over `months`.
+ - "forecast" cells use `forecastSurvival` for a passive household (DO_NOTHING);
+   "policy" cells run `runSimulation` ensembles where the planner decides.
+ - All cells share the same seeds, so neighbouring cells are compared on the same
+   economic paths and the frontier is not blurred by sampling noise.
+ - `contourSegments` traces the 50% / 95% frontiers with marching squares.
+*/
+
+import runSimulation, {
+  DEFAULT_STATE,
+  forecastSurvival,
+  mergeState,
+} from "./script.js";
+import { deriveSeed, randomSeed } from "./rng.js";
+
+export const GRID_METHODS = {
+  forecast: "Forecast (forecastSurvival, DO_NOTHING)",
+  policy: "Policy runs (runSimulation, the AI decides)",
+};
+
+/**
+ * gridValues(min, max, steps)
+ * `steps` evenly spaced values from `min` to `max` inclusive.
+ */
+export function gridValues(min, max, steps) {
+  const n = Math.max(2, Math.floor(steps));
+  return Array.from({ length: n }, (_, i) =>
+    Number((min + ((max - min) * i) / (n - 1)).toPrecision(12)),
+  );
+}
+
+/**
+ * runSurvivalGrid({ xField, xValues, yField, yValues, method, paths, months, initialState, seed, onProgress, ...options })
+ * Survival probability for every `(xValues[i], yValues[j])` pair. Returns
+ * `{ xField, yField, xValues, yValues, method, paths, months, seed, cells }` with
+ * `cells[j][i]` the probability for row `j` (y) and column `i` (x).
+ * `onProgress` receives `{ run, runs, ... }` as usual, plus
+ * `{ cell: { i, j, survivalProbability } }` each time a cell is done, so the
+ * grid can be drawn while it fills in.
+ */
+export function runSurvivalGrid({
+  xField,
+  xValues,
+  yField,
+  yValues,
+  method = "forecast",
+  paths = 100,
+  months = 12,
+  initialState,
+  seed = randomSeed(),
+  onProgress,
+  ...options
+} = {}) {
+  const base = JSON.parse(JSON.stringify(initialState || DEFAULT_STATE));
+  const cellCount = xValues.length * yValues.length;
+  const pathSeeds = Array.from({ length: paths }, (_, i) =>
+    deriveSeed(seed, "path", i),
+  );
+  const cells = yValues.map(() => xValues.map(() => null));
+
+  let index = 0;
+  yValues.forEach((y, j) => {
+    xValues.forEach((x, i) => {
+      const state = mergeState(JSON.parse(JSON.stringify(base)), {
+        [xField]: x,
+        [yField]: y,
+      });
+      let survivalProbability;
+      if (method === "policy") {
+        const offset = index * paths;
+        const survived = pathSeeds.filter((pathSeed, path) => {
+          const history = runSimulation({
+            ...options,
+            initialState: state,
+            months,
+            seed: pathSeed,
+            onProgress:
+              onProgress &&
+              ((p) =>
+                onProgress({
+                  run: offset + path,
+                  runs: cellCount * paths,
+                  ...p,
+                })),
+          });
+          const last = history[history.length - 1];
+          return last && last.solvent && last.month >= months;
+        }).length;
+        survivalProbability = survived / (paths || 1);
+      } else {
+        survivalProbability = forecastSurvival(
+          state,
+          "DO_NOTHING",
+          paths,
+          months,
+          { ...options, seed },
+        ).survivalProbability;
+      }
+      cells[j][i] = survivalProbability;
+      index++;
+      if (onProgress) {
+        // counted in the same units as the per-path messages above
+        const unit = method === "policy" ? paths : 1;
+        onProgress({
+          run: index * unit - 1,
+          runs: cellCount * unit,
+          cell: { i, j, survivalProbability },
+        });
+      }
+    });
+  });
+
+  return {
+    xField,
+    yField,
+    xValues,
+    yValues,
+    method,
+    paths,
+    months,
+    seed,
+    cells,
+  };
+}
+
+/**
+ * contourSegments(cells, level)
+ * Marching squares over `cells[j][i]` (values at grid points). Returns line
+ * segments `[[x1, y1], [x2, y2]]` in fractional grid coordinates (x = column,
+ * y = row) where the values cross `level`. Squares with a missing (null) corner
+ * are skipped, so a partly filled grid gets a partial contour.
+ */
+export function contourSegments(cells, level) {
+  const segments = [];
+  for (let j = 0; j + 1 < cells.length; j++) {
+    for (let i = 0; i + 1 < cells[j].length; i++) {
+      // corners in order around the square: (i,j) (i+1,j) (i+1,j+1) (i,j+1)
+      const corners = [
+        [i, j],
+        [i + 1, j],
+        [i + 1, j + 1],
+        [i, j + 1],
+      ];
+      const values = corners.map(([x, y]) => cells[y][x]);
+      if (values.some((v) => v === null || v === undefined)) continue;
+
+      // crossing point on each edge whose ends lie on opposite sides of `level`
+      const points = [];
+      for (let e = 0; e < 4; e++) {
+        const a = values[e];
+        const b = values[(e + 1) % 4];
+        if (a >= level === b >= level) continue;
+        const t = (level - a) / (b - a);
+        const [x1, y1] = corners[e];
+        const [x2, y2] = corners[(e + 1) % 4];
+        points.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+      }
+      if (points.length === 2) {
+        segments.push(points);
+      } else if (points.length === 4) {
+        // saddle: the centre value decides which opposite corners are joined;
+        // the other two are cut off by their own short segments
+        const centre = values.reduce((s, v) => s + v, 0) / 4;
+        if (centre >= level === values[0] >= level) {
+          segments.push([points[0], points[1]], [points[2], points[3]]);
+        } else {
+          segments.push([points[3], points[0]], [points[1], points[2]]);
+        }
+      }
+    }
+  }
+  return segments;
+}
@@ -0,0 +1,120 @@
+/*
+ Income and capital-gains tax applied by `updateEconomy` (`options.tax`).
+   { enabled, brackets: [{ upTo, rate }], allowance, relief, indexed,
+     capitalGainsRate }
+ - brackets: monthly income thresholds, lowest first; the top bracket has
+   `upTo: null`. Each rate applies to the slice of taxable income in its band.
+ - allowance: monthly tax-free amount deducted before the brackets.
+ - relief: monthly tax credit deducted from the computed tax.
+ - indexed: when true thresholds, allowance and relief grow with prices
+   (`simState.taxIndex`); when false they stay nominal, so inflation pushes
+   pay into higher brackets ("bracket creep").
+ - capitalGainsRate: tax on the month's portfolio gains (0 = none).
+ Disabled by default, which keeps the original untaxed salary.
+*/
+
+// annual amounts → monthly thresholds
+const monthly = (brackets) =>
+  brackets.map(([upTo, rate]) => ({
+    upTo: upTo === null ? null : upTo / 12,
+    rate,
+  }));
+
+/**
+ * TAX_PRESETS
+ * Simplified schedules to start from. Amounts are in each country's currency
+ * and per month, so compare them with a salary in the same currency.
+ */
+export const TAX_PRESETS = {
+  kenyaPaye: {
+    label: "Kenya PAYE (simplified, KES)",
+    tax: {
+      brackets: [
+        { upTo: 24000, rate: 0.1 },
+        { upTo: 32333, rate: 0.25 },
+        { upTo: 500000, rate: 0.3 },
+        { upTo: 800000, rate: 0.325 },
+        { upTo: null, rate: 0.35 },
+      ],
+      allowance: 0,
+      relief: 2400, // personal relief
+      capitalGainsRate: 0.15,
+    },
+  },
+  usFederal: {
+    label: "US federal, single filer (simplified, USD)",
+    tax: {
+      brackets: monthly([
+        [11600, 0.1],
+        [47150, 0.12],
+        [100525, 0.22],
+        [191950, 0.24],
+        [243725, 0.32],
+        [609350, 0.35],
+        [null, 0.37],
+      ]),
+      allowance: 14600 / 12, // standard deduction
+      relief: 0,
+      capitalGainsRate: 0.15,
+    },
+  },
+};
+
+export const DEFAULT_TAX = {
+  enabled: false,
+  indexed: false,
+  ...TAX_PRESETS.usFederal.tax,
+};
+
+/**
+ * resolveTax(tax)
+ * Fills in `DEFAULT_TAX` for missing fields.
+ */
+export function resolveTax(tax = {}) {
+  return { ...DEFAULT_TAX, ...tax };
+}
+
+/**
+ * incomeTax(gross, tax, index)
+ * Progressive tax on a month's `gross` income, with thresholds, allowance and
+ * relief scaled by `index` (1 = nominal).
+ */
+export function incomeTax(gross, tax, index = 1) {
+  const model = resolveTax(tax);
+  const taxable = Math.max(0, gross - (model.allowance || 0) * index);
+  let owed = 0;
+  let lower = 0;
+  for (const { upTo, rate } of model.brackets) {
+    // a missing (or blank) threshold means "no upper limit"
+    const upper = Number.isFinite(upTo) ? upTo * index : Infinity;
+    if (taxable > lower)
+      owed += (Math.min(taxable, upper) - lower) * (rate || 0);
+    if (taxable <= upper) break;
+    lower = upper;
+  }
+  return Math.max(0, owed - (model.relief || 0) * index);
+}
+
+/**
+ * applyTax(simState, tax, gross, capitalGain)
+ * Taxes the month's gross income and portfolio gain and records `grossPay`,
+ * `tax` (income tax), `netPay` and `capitalGainsTax` on the state. Returns the
+ * total tax to pay from cash.
+ */
+export function applyTax(simState, tax, gross, capitalGain = 0) {
+  const model = resolveTax(tax);
+  let owed = 0;
+  let gainsTax = 0;
+  if (model.enabled) {
+    if (model.indexed) {
+      simState.taxIndex = (simState.taxIndex || 1) * (1 + simState.inflation);
+    }
+    owed = incomeTax(gross, model, simState.taxIndex || 1);
+    gainsTax = Math.max(0, capitalGain) * (model.capitalGainsRate || 0);
+  }
+  simState.grossPay = gross;
+  simState.tax = owed;
+  simState.netPay = gross - owed;
+  simState.capitalGainsTax = gainsTax;
+  return owed + gainsTax;
+}
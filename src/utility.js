@@ -0,0 +1,169 @@
+/*
+ Utility models used to rank actions from their Monte Carlo forecasts.
+ Every model turns a forecast into one score:
+   utility = survivalWeight * survivalProbability + wealthWeight * (wealthTerm / scale)
+             + happinessWeight * (expectedHappiness / happinessScale)
+ and differs in how `wealthTerm` treats risk (see `UTILITY_MODELS`). The
+ happiness term is off (weight 0) except in the "happiness" model.
+ Forecasts carry `endingCash` samples (one per run, failed runs included) so
+ risk-aware models can look at the whole distribution.
+*/
+
+import { mean, stdev, tailMean } from "./stats.js";
+
+/**
+ * certaintyEquivalent(values, gamma, floor)
+ * Cash amount whose CRRA utility equals the expected utility of `values`.
+ * gamma = 1 is log utility; wealth is floored at `floor` so ruin stays finite.
+ */
+function certaintyEquivalent(values, gamma, floor) {
+  if (!values.length) return 0;
+  const w = values.map((v) => Math.max(v, floor));
+  if (Math.abs(gamma - 1) < 1e-9) {
+    return Math.exp(mean(w.map((x) => Math.log(x))));
+  }
+  const eu = mean(w.map((x) => Math.pow(x, 1 - gamma) / (1 - gamma)));
+  return Math.pow(eu * (1 - gamma), 1 / (1 - gamma));
+}
+
+// ending cash of every run, falling back to the summary when samples are absent
+const samplesOf = (result) =>
+  result.endingCash && result.endingCash.length
+    ? result.endingCash
+    : [result.meanCash ?? result.expectedCash ?? 0];
+
+/**
+ * UTILITY_MODELS
+ * Selectable models keyed by id, each with `label`, default `params` and a
+ * `wealth(result, params)` function returning the risk-adjusted wealth term.
+ */
+export const UTILITY_MODELS = {
+  linear: {
+    label: "Linear (survival + expected cash)",
+    params: { survivalWeight: 0.6, wealthWeight: 0.4, scale: 10000 },
+    // mean ending cash of surviving runs (the original model)
+    wealth: (result) => result.expectedCash,
+  },
+  crra: {
+    label: "CRRA / log wealth",
+    params: {
+      survivalWeight: 0.6,
+      wealthWeight: 0.4,
+      scale: 10000,
+      riskAversion: 2,
+      wealthFloor: 1,
+    },
+    wealth: (result, p) =>
+      certaintyEquivalent(samplesOf(result), p.riskAversion, p.wealthFloor),
+  },
+  meanStdev: {
+    label: "Mean − λ·stdev",
+    params: { survivalWeight: 0.6, wealthWeight: 0.4, scale: 10000, lambda: 1 },
+    wealth: (result, p) => {
+      const values = samplesOf(result);
+      return mean(values) - p.lambda * stdev(values);
+    },
+  },
+  cvar: {
+    label: "CVaR of ending cash",
+    params: {
+      survivalWeight: 0.6,
+      wealthWeight: 0.4,
+      scale: 10000,
+      alpha: 0.05,
+    },
+    wealth: (result, p) => tailMean(samplesOf(result), p.alpha),
+  },
+  happiness: {
+    label: "Happiness-inclusive",
+    params: {
+      survivalWeight: 0.5,
+      wealthWeight: 0.3,
+      scale: 10000,
+      happinessWeight: 0.2,
+      happinessScale: 100,
+    },
+    wealth: (result) => result.expectedCash,
+  },
+};
+
+// Labels for the parameters shared by the models (used by the UI)
+export const UTILITY_PARAM_INFO = {
+  survivalWeight: "Weight on survival probability",
+  wealthWeight: "Weight on (risk-adjusted) wealth",
+  scale: "Cash normalizer (wealth / scale)",
+  riskAversion: "Relative risk aversion γ (1 = log utility)",
+  wealthFloor: "Wealth floor for ruined runs",
+  lambda: "Penalty λ per unit of stdev",
+  alpha: "Tail share for CVaR (0.05 = worst 5%)",
+  happinessWeight: "Weight on ending happiness",
+  happinessScale: "Happiness normalizer",
+};
+
+// The original behaviour: linear model with 0.6 / 0.4 weights
+export const DEFAULT_UTILITY = { model: "linear", params: {} };
+
+// Ready-made settings to contrast risk attitudes under the same inflation
+export const UTILITY_PRESETS = {
+  cautious: {
+    label: "Cautious household",
+    utility: {
+      model: "cvar",
+      params: { survivalWeight: 0.8, wealthWeight: 0.2, alpha: 0.05 },
+    },
+  },
+  aggressive: {
+    label: "Aggressive household",
+    utility: {
+      model: "linear",
+      params: { survivalWeight: 0.3, wealthWeight: 0.7 },
+    },
+  },
+};
+
+// Happiness term every model accepts; 0 leaves happiness out of the decision
+export const HAPPINESS_PARAMS = { happinessWeight: 0, happinessScale: 100 };
+
+/**
+ * resolveUtility(utility)
+ * Returns `{ id, model, params }` with the model's defaults (and
+ * `HAPPINESS_PARAMS`) filled in. Unknown model ids fall back to the linear model.
+ */
+export function resolveUtility(utility = DEFAULT_UTILITY) {
+  const id = UTILITY_MODELS[utility.model] ? utility.model : "linear";
+  const model = UTILITY_MODELS[id];
+  return {
+    id,
+    model,
+    params: {
+      ...HAPPINESS_PARAMS,
+      ...model.params,
+      ...(utility.params || {}),
+    },
+  };
+}
+
+/**
+ * happinessTerm(happiness, params)
+ * Contribution of (expected) ending happiness to the utility.
+ */
+export function happinessTerm(happiness, params) {
+  if (!params.happinessWeight) return 0;
+  return params.happinessWeight * ((happiness ?? 0) / params.happinessScale);
+}
+
+/**
+ * calculateUtility(result, utility)
+ * Combines survival probability, (risk-adjusted) cash and, when
+ * `happinessWeight` is set, expected happiness into a single score using the
+ * model selected by `utility = { model, params }`.
+ */
+export function calculateUtility(result, utility = DEFAULT_UTILITY) {
+  const { model, params } = resolveUtility(utility);
+  const wealth = model.wealth(result, params) || 0;
+  return (
+    params.survivalWeight * result.survivalProbability +
+    params.wealthWeight * (wealth / params.scale) +
+    happinessTerm(result.expectedHappiness, params)
+  );
+}
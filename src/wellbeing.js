@@ -0,0 +1,109 @@
+/*
+ Well-being model used by `updateEconomy` (`options.wellbeing`).
+ - recovery: each month happiness recovers `recoveryRate` of its gap to
+   `baseline` (faster while resting).
+ - burnout: below `burnoutThreshold` the household burns out with probability
+   `burnoutProbability` a month. "rest" forces `restMonths` months off at
+   `restPay` of normal pay; "salaryCut" permanently lowers the salary by
+   `salaryCut`.
+ - tolerance: `simState.recentCuts` counts recent CUT_EXPENSES (it fades by
+   `cutMemory` a month); the action's happiness cost grows with it.
+ State fields: `happiness`, `restMonthsLeft`, `recentCuts`, `payFactor` (share
+ of pay received this month) and `burnout` (a description of the burnout that
+ started this month, otherwise null).
+ Off by default, which keeps the original happiness and pay.
+*/
+
+export const BURNOUT_MODES = {
+  rest: "Forced rest (reduced pay for a few months)",
+  salaryCut: "Permanent salary cut",
+};
+
+export const DEFAULT_WELLBEING = {
+  enabled: false,
+  baseline: 100, // level happiness recovers towards
+  recoveryRate: 0.1, // share of the gap to baseline recovered each month
+  burnoutThreshold: 40, // burnout is possible below this level
+  burnoutProbability: 0.3, // monthly chance of burnout below the threshold
+  burnoutMode: "rest",
+  restMonths: 2, // length of a forced rest
+  restPay: 0.5, // share of pay received while resting
+  restRecovery: 15, // extra happiness regained per month of rest
+  salaryCut: 0.1, // salary lost to a burnout in "salaryCut" mode
+  cutMemory: 0.8, // monthly fade of the recent-cuts counter
+};
+
+/**
+ * resolveWellbeing(wellbeing)
+ * Fills in `DEFAULT_WELLBEING` for missing fields.
+ */
+export function resolveWellbeing(wellbeing = {}) {
+  return { ...DEFAULT_WELLBEING, ...wellbeing };
+}
+
+/**
+ * isResting(simState)
+ * True during a forced rest after burnout.
+ */
+export function isResting(simState) {
+  return (simState.restMonthsLeft || 0) > 0;
+}
+
+/**
+ * stepWellbeing(simState, wellbeing, rng)
+ * Advances happiness by one month (recovery, burnout, fading cut memory) and
+ * returns the share of pay received this month (below 1 while resting).
+ */
+export function stepWellbeing(simState, wellbeing, rng) {
+  const model = resolveWellbeing(wellbeing);
+  simState.burnout = null;
+  simState.payFactor = 1;
+  if (!model.enabled) {
+    // without the model every expense cut costs the same happiness
+    simState.recentCuts = 0;
+    return 1;
+  }
+
+  // one draw a month keeps runs on the same random numbers
+  const u = rng.next();
+  simState.recentCuts = (simState.recentCuts || 0) * model.cutMemory;
+
+  let payFactor = 1;
+  if (isResting(simState)) {
+    simState.restMonthsLeft -= 1;
+    simState.happiness = Math.min(
+      model.baseline,
+      simState.happiness + model.restRecovery,
+    );
+    payFactor = model.restPay;
+  } else if (
+    simState.happiness < model.burnoutThreshold &&
+    u < model.burnoutProbability
+  ) {
+    const level = Math.round(simState.happiness);
+    if (model.burnoutMode === "salaryCut") {
+      simState.salary *= 1 - model.salaryCut;
+      simState.burnout = `Burnout: happiness ${level} fell below ${model.burnoutThreshold}; salary cut by ${Math.round(model.salaryCut * 100)}%`;
+    } else {
+      simState.restMonthsLeft = Math.max(0, model.restMonths - 1);
+      simState.happiness = Math.min(
+        model.baseline,
+        simState.happiness + model.restRecovery,
+      );
+      payFactor = model.restPay;
+      simState.burnout = `Burnout: happiness ${level} fell below ${model.burnoutThreshold}; forced rest for ${model.restMonths} month(s) at ${Math.round(model.restPay * 100)}% pay`;
+    }
+  }
+
+  simState.payFactor = payFactor;
+
+  // recovery towards the baseline (never past it)
+  if (simState.happiness < model.baseline) {
+    simState.happiness = Math.min(
+      model.baseline,
+      simState.happiness +
+        model.recoveryRate * (model.baseline - simState.happiness),
+    );
+  }
+  return payFactor;
+}